@@ -0,0 +1,43 @@
+/**
+ * Rebuilds static/_instances/daily/index.json, the manifest of daily puzzles
+ * used by the /daily/archive calendar.
+ *
+ * Usage:
+ *   node scripts/daily-index.js [dailies folder]
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+
+const dir = process.argv[2] || path.join('static', '_instances', 'daily');
+
+/**
+ * List subfolders or files with names matching a pattern
+ * @param {String} folder
+ * @param {RegExp} pattern
+ * @returns {String[]}
+ */
+function list(folder, pattern) {
+	return fs
+		.readdirSync(folder)
+		.filter((name) => pattern.test(name))
+		.sort();
+}
+
+/** @type {Object<String, {grid: String, width: Number, height: Number, wrap: Boolean}>} */
+const index = {};
+for (let year of list(dir, /^\d{4}$/)) {
+	for (let month of list(path.join(dir, year), /^\d{2}$/)) {
+		for (let file of list(path.join(dir, year, month), /^\d{2}\.json$/)) {
+			const data = JSON.parse(fs.readFileSync(path.join(dir, year, month, file), 'utf-8'));
+			index[`${year}-${month}-${file.slice(0, 2)}`] = {
+				// the first dailies were all hexagonal and did not specify the grid
+				grid: data.grid || 'hexagonal',
+				width: data.width,
+				height: data.height,
+				wrap: Boolean(data.wrap)
+			};
+		}
+	}
+}
+fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify(index, null, '\t'));
+console.log(`Indexed ${Object.keys(index).length} daily puzzles`);
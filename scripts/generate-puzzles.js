@@ -0,0 +1,407 @@
+/**
+ * Generates a batch of puzzle instances for the numbered puzzle pages.
+ *
+ * Usage:
+ *   node scripts/generate-puzzles.js --kind hexagonal --size 7 --count 1000 --seed hexapipes
+ *
+ * Puzzles are written to {out}/{kind}[-wrap]/{W}x{H}/{folder}/{id}.json
+ * with 100 puzzles per folder, same as the loader of /[grid]/[size]/[id] expects.
+ * Every puzzle gets its own seed derived from the batch seed and its id,
+ * so the output does not depend on the number of workers or their scheduling.
+ * Each puzzle file also has the difficulty rating of the puzzle.
+ * With --tiles the generator aims for given shares of tile classes
+ * and the average distance from them is printed after the batch.
+ * With --givens ambiguous puzzles are made unique by revealing some tiles,
+ * their indices are saved in the givens field of the puzzle file.
+ * With --extra-givens more tiles are revealed on top of those, for beginner puzzles.
+ * After the batch the index.json manifest of the category is updated.
+ */
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { register } from 'node:module';
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+
+register('./lib-loader.js', import.meta.url);
+const { instanceFolder } = await import('$lib/puzzle/instances');
+
+const USAGE = `Usage: node scripts/generate-puzzles.js [options]
+
+Options:
+  --kind <kind>            grid kind: hexagonal, square, octagonal, etrat, cube, triangular,
+                           rhombitrihex, penrose, voronoi
+                           (default hexagonal)
+  --size <n>               width and height of the grid
+  --width <n>              grid width, overrides --size
+  --height <n>             grid height, overrides --size
+  --wrap                   make a wrap puzzle
+  --shape <shape>          grid shape, see useShape of the grid
+  --count <n>              number of puzzles to generate (default 100)
+  --start <id>             id of the first puzzle (default 1)
+  --seed <seed>            seed of the batch (default 0)
+  --branching <x>          branching amount in range [0, 1] (default 0.6)
+  --avoid-obvious <x>      avoid obvious tiles along borders, range [0, 1] (default 0)
+  --avoid-straights <x>    avoid straight tiles, range [0, 1] (default 0)
+  --difficulty <band>      only keep puzzles of this difficulty: easy, medium, hard
+  --tiles <shares>         target shares of tile classes, e.g. deadend=0.4,cross=0
+                           classes: deadend, straight, bend, tjunction, cross
+  --symmetry <symmetry>    make symmetric puzzles: rotate2, rotate3, rotate4, rotate6, mirror,
+                           the grid must allow it, wrap puzzles can't be symmetric
+  --givens                 make puzzles unique by revealing some tiles in their solved
+                           orientation instead of regrowing ambiguous areas
+  --extra-givens <x>       share of the other tiles to reveal, range [0, 1] (default 0)
+  --workers <n>            number of worker threads (default: number of CPUs)
+  --out <dir>              output directory (default static/_instances)
+  --overwrite              replace existing puzzle files instead of skipping them
+  --index-only             only rebuild index.json of the category from existing files
+  --help                   show this message
+`;
+
+/**
+ * @typedef {Object} BatchOptions
+ * @property {import('../src/lib/puzzle/grids/grids').GridKind} kind
+ * @property {Number} width
+ * @property {Number} height
+ * @property {Boolean} wrap
+ * @property {String|undefined} shape
+ * @property {String} seed
+ * @property {String} dir - folder for puzzles of this kind and size
+ * @property {Boolean} overwrite
+ * @property {import('../src/lib/puzzle/generator').GeneratorOptions} generatorOptions
+ */
+
+/**
+ * @param {String|undefined} value
+ * @param {String} name
+ * @param {Number} defaultValue
+ * @param {Number} min
+ * @param {Number} max
+ * @param {Boolean} integer
+ * @returns {Number}
+ */
+function parseNumber(value, name, defaultValue, min, max, integer = true) {
+	if (value === undefined) {
+		return defaultValue;
+	}
+	const number = Number(value);
+	if (isNaN(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+		throw `Invalid value for --${name}: "${value}". Expected ${
+			integer ? 'an integer' : 'a number'
+		} in range [${min}, ${max}]`;
+	}
+	return number;
+}
+
+/**
+ * @param {String|undefined} value - comma separated class=share pairs
+ * @returns {import('../src/lib/puzzle/generator').TileDistribution|undefined}
+ */
+function parseTileDistribution(value) {
+	if (value === undefined) {
+		return undefined;
+	}
+	/** @type {Object<String, Number>} */
+	const distribution = {};
+	for (let pair of value.split(',')) {
+		const [tileClass, share] = pair.split('=');
+		if (share === undefined) {
+			throw `Invalid value for --tiles: "${pair}". Expected class=share`;
+		}
+		distribution[tileClass.trim()] = Number(share);
+	}
+	return distribution;
+}
+
+/**
+ * Path of a puzzle file relative to the batch folder
+ * @param {Number} id
+ * @returns {String}
+ */
+function puzzlePath(id) {
+	return path.join(String(instanceFolder(id)), `${id}.json`);
+}
+
+/**
+ * Rebuild the manifest of a category folder.
+ * A size counts puzzles with consecutive ids starting from 1
+ * @param {String} categoryDir
+ * @returns {import('../src/lib/puzzle/instances').InstancesIndex}
+ */
+function updateIndex(categoryDir) {
+	/** @type {import('../src/lib/puzzle/instances').InstancesIndex} */
+	const index = { sizes: {} };
+	const sizes = fs
+		.readdirSync(categoryDir)
+		.filter((name) => /^\d+x\d+$/.test(name))
+		.sort((a, b) => parseInt(a) - parseInt(b));
+	for (let size of sizes) {
+		let count = 0;
+		while (fs.existsSync(path.join(categoryDir, size, puzzlePath(count + 1)))) {
+			count += 1;
+		}
+		if (count > 0) {
+			index.sizes[size] = count;
+		}
+	}
+	fs.writeFileSync(path.join(categoryDir, 'index.json'), JSON.stringify(index, null, '\t'));
+	return index;
+}
+
+/**
+ * @param {String[]} args
+ * @returns {Promise<{batch: BatchOptions, ids: Number[], workers: Number, indexOnly: Boolean}>}
+ */
+async function parseOptions(args) {
+	const { values } = parseArgs({
+		args,
+		options: {
+			kind: { type: 'string', default: 'hexagonal' },
+			size: { type: 'string' },
+			width: { type: 'string' },
+			height: { type: 'string' },
+			wrap: { type: 'boolean', default: false },
+			shape: { type: 'string' },
+			count: { type: 'string' },
+			start: { type: 'string' },
+			seed: { type: 'string', default: '0' },
+			branching: { type: 'string' },
+			'avoid-obvious': { type: 'string' },
+			'avoid-straights': { type: 'string' },
+			difficulty: { type: 'string' },
+			tiles: { type: 'string' },
+			symmetry: { type: 'string' },
+			givens: { type: 'boolean', default: false },
+			'extra-givens': { type: 'string' },
+			workers: { type: 'string' },
+			out: { type: 'string', default: path.join('static', '_instances') },
+			overwrite: { type: 'boolean', default: false },
+			'index-only': { type: 'boolean', default: false },
+			help: { type: 'boolean', default: false }
+		}
+	});
+	if (values.help) {
+		console.log(USAGE);
+		process.exit(0);
+	}
+	const { gridKinds, gridInfo, createGrid } = await import('$lib/puzzle/grids/grids');
+	const kind = gridKinds.find((kind) => kind === values.kind);
+	if (kind === undefined) {
+		throw `Unknown grid kind: "${values.kind}". Expected one of ${gridKinds.join(', ')}`;
+	}
+	if (kind === 'graph') {
+		throw 'Graph grids are made from uploaded cells, they have no numbered puzzles';
+	}
+	if (values.wrap && !gridInfo[kind].wrap) {
+		throw `${gridInfo[kind].title} grids can not wrap`;
+	}
+	const { difficultyBands } = await import('$lib/puzzle/solver');
+	const difficulty = difficultyBands.find((band) => band === values.difficulty);
+	if (values.difficulty !== undefined && difficulty === undefined) {
+		throw `Unknown difficulty: "${values.difficulty}". Expected one of ${difficultyBands.join(
+			', '
+		)}`;
+	}
+	const tileDistribution = parseTileDistribution(values.tiles);
+	if (tileDistribution !== undefined) {
+		const { validateTileDistribution } = await import('$lib/puzzle/generator');
+		validateTileDistribution(tileDistribution);
+	}
+	const symmetry = createGrid(kind, 3, 3, false).SYMMETRIES.find(
+		(symmetry) => symmetry === values.symmetry
+	);
+	if (values.symmetry !== undefined && symmetry === undefined) {
+		throw `Unknown symmetry for ${gridInfo[kind].title} grids: "${values.symmetry}"`;
+	}
+	const size = parseNumber(values.size, 'size', 0, 2, 1000);
+	const width = parseNumber(values.width, 'width', size, 2, 1000);
+	const height = parseNumber(values.height, 'height', size, 2, 1000);
+	if (width === 0 || height === 0) {
+		throw 'Grid size is required: use --size or --width and --height';
+	}
+	const count = parseNumber(values.count, 'count', 100, 1, 1000000);
+	const start = parseNumber(values.start, 'start', 1, 1, 1000000);
+	const workers = parseNumber(values.workers, 'workers', os.cpus().length, 1, 256);
+	const category = kind + (values.wrap ? '-wrap' : '');
+	return {
+		batch: {
+			kind,
+			width,
+			height,
+			wrap: values.wrap,
+			shape: values.shape,
+			seed: values.seed,
+			dir: path.join(values.out, category, `${width}x${height}`),
+			overwrite: values.overwrite,
+			generatorOptions: {
+				branchingAmount: parseNumber(values.branching, 'branching', 0.6, 0, 1, false),
+				avoidObvious: parseNumber(values['avoid-obvious'], 'avoid-obvious', 0, 0, 1, false),
+				avoidStraights: parseNumber(values['avoid-straights'], 'avoid-straights', 0, 0, 1, false),
+				solutionsNumber: 'unique',
+				difficulty,
+				tileDistribution,
+				symmetry,
+				fixAmbiguity: values.givens ? 'givens' : 'regrow',
+				extraGivens: parseNumber(values['extra-givens'], 'extra-givens', 0, 0, 1, false)
+			}
+		},
+		ids: [...Array(count).keys()].map((i) => start + i),
+		workers: Math.min(workers, count),
+		indexOnly: values['index-only']
+	};
+}
+
+/**
+ * Hands out puzzle ids to worker threads until all are done
+ * @param {BatchOptions} batch
+ * @param {Number[]} ids
+ * @param {Number} numWorkers
+ * @returns {Promise<void>}
+ */
+function runBatch(batch, ids, numWorkers) {
+	const queue = [...ids];
+	let done = 0;
+	let skipped = 0;
+	/** @type {Number[]} */
+	const distances = [];
+	const startedAt = Date.now();
+	return new Promise((resolve, reject) => {
+		let running = numWorkers;
+		for (let i = 0; i < numWorkers; i++) {
+			const worker = new Worker(new URL(import.meta.url), { workerData: batch });
+			const next = () => {
+				const id = queue.shift();
+				if (id === undefined) {
+					worker.postMessage({ command: 'exit' });
+				} else {
+					worker.postMessage({ command: 'generate', id });
+				}
+			};
+			worker.on('message', (message) => {
+				if (message.msg === 'generated' || message.msg === 'skipped') {
+					done += 1;
+					skipped += message.msg === 'skipped' ? 1 : 0;
+					if (message.distance !== undefined) {
+						distances.push(message.distance);
+					}
+					const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+					process.stdout.write(`\r${done}/${ids.length} puzzles ready in ${seconds}s`);
+				}
+				next();
+			});
+			worker.on('error', reject);
+			worker.on('exit', () => {
+				running -= 1;
+				if (running === 0) {
+					process.stdout.write('\n');
+					if (skipped > 0) {
+						console.log(`Skipped ${skipped} existing puzzles, use --overwrite to replace them`);
+					}
+					if (distances.length > 0) {
+						const average = distances.reduce((a, b) => a + b, 0) / distances.length;
+						console.log(
+							`Tile shares are off the target by ${average.toFixed(3)} on average, ${Math.max(
+								...distances
+							).toFixed(3)} at most`
+						);
+					}
+					resolve();
+				}
+			});
+		}
+	});
+}
+
+/**
+ * Worker thread: generates puzzles with the ids sent by the main thread
+ */
+async function runWorker() {
+	const { createGrid } = await import('$lib/puzzle/grids/grids');
+	const { Generator } = await import('$lib/puzzle/generator');
+	const { Solver } = await import('$lib/puzzle/solver');
+	const { seededRandom, hashSeed } = await import('$lib/puzzle/random');
+	/** @type {BatchOptions} */
+	const batch = workerData;
+	const {
+		branchingAmount,
+		avoidObvious,
+		avoidStraights,
+		solutionsNumber,
+		difficulty,
+		tileDistribution,
+		symmetry,
+		fixAmbiguity,
+		extraGivens
+	} = batch.generatorOptions;
+
+	parentPort?.on('message', (message) => {
+		if (message.command === 'exit') {
+			process.exit(0);
+		}
+		const id = message.id;
+		const filepath = path.join(batch.dir, puzzlePath(id));
+		if (!batch.overwrite && fs.existsSync(filepath)) {
+			parentPort?.postMessage({ msg: 'skipped', id });
+			return;
+		}
+		const seed = [batch.seed, batch.kind, batch.wrap, batch.width, batch.height, batch.shape, id];
+		const random = seededRandom(hashSeed(seed.join('/')));
+		// grids of random cells get their own seed, it is saved with the puzzle
+		const cellSeed = hashSeed([...seed, 'cells'].join('/'));
+		const grid = createGrid(batch.kind, batch.width, batch.height, batch.wrap, undefined, cellSeed);
+		if (batch.shape !== undefined) {
+			if (!('useShape' in grid)) {
+				throw `Grid kind ${batch.kind} does not support shapes`;
+			}
+			// @ts-ignore
+			grid.useShape(batch.shape);
+		}
+		const gen = new Generator(grid);
+		gen.random = random;
+		const tiles = gen.generate(
+			branchingAmount,
+			avoidObvious,
+			avoidStraights,
+			solutionsNumber,
+			difficulty,
+			tileDistribution,
+			symmetry,
+			fixAmbiguity,
+			extraGivens
+		);
+		const givens = gen.givens;
+		const data = {
+			grid: grid.KIND,
+			width: grid.width,
+			height: grid.height,
+			wrap: grid.wrap,
+			tiles,
+			...(givens.length > 0 ? { givens } : {}),
+			...(grid.seed !== undefined ? { seed: grid.seed } : {}),
+			difficulty: new Solver(tiles, grid, givens).rateDifficulty()
+		};
+		fs.mkdirSync(path.dirname(filepath), { recursive: true });
+		fs.writeFileSync(filepath, JSON.stringify(data));
+		parentPort?.postMessage({ msg: 'generated', id, distance: gen.distributionReport?.distance });
+	});
+	parentPort?.postMessage({ msg: 'ready' });
+}
+
+if (isMainThread) {
+	try {
+		const { batch, ids, workers, indexOnly } = await parseOptions(process.argv.slice(2));
+		if (!indexOnly) {
+			console.log(`Generating ${ids.length} puzzles into ${batch.dir} using ${workers} workers`);
+			await runBatch(batch, ids, workers);
+		}
+		const categoryDir = path.dirname(batch.dir);
+		const index = updateIndex(categoryDir);
+		console.log(`Updated ${path.join(categoryDir, 'index.json')}:`, index.sizes);
+	} catch (error) {
+		console.error(error);
+		console.log(USAGE);
+		process.exit(1);
+	}
+} else {
+	await runWorker();
+}
@@ -0,0 +1,23 @@
+/**
+ * Node module resolve hook that lets scripts import the game code directly.
+ * Resolves the $lib alias like SvelteKit does
+ * and adds the .js extension that imports in src/lib leave out.
+ */
+const LIB = new URL('../src/lib/', import.meta.url);
+
+/**
+ * @param {String} specifier
+ * @param {{parentURL?: String}} context
+ * @param {Function} nextResolve
+ */
+export async function resolve(specifier, context, nextResolve) {
+	if (specifier.startsWith('$lib/')) {
+		specifier = new URL(specifier.slice('$lib/'.length), LIB).href;
+	} else if (specifier.startsWith('.') && context.parentURL?.startsWith(LIB.href)) {
+		specifier = new URL(specifier, context.parentURL).href;
+	}
+	if (specifier.startsWith(LIB.href) && !/\.\w+$/.test(specifier)) {
+		specifier += '.js';
+	}
+	return nextResolve(specifier, context);
+}
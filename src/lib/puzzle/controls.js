@@ -93,6 +93,8 @@ export function controls(node, game) {
 	 */
 	function handleMouseDown(event) {
 		event.preventDefault();
+		// preventDefault stops the browser from focusing the game area, needed for keyboard controls
+		node.focus({ preventScroll: true });
 		const target = event.target;
 		const [x, y] = getEventCoordinates(event);
 		const locking =
@@ -114,6 +116,12 @@ export function controls(node, game) {
 			mouseDownOrigin.tileIndex = tile.index;
 			mouseDownOrigin.tileX = tile.x;
 			mouseDownOrigin.tileY = tile.y;
+			// given tiles can't be locked or unlocked, so they don't start a locking drag
+			mouseDownOrigin.locking = locking && !game.givens.has(tile.index);
+			if (cursor.index !== -1) {
+				anchor = { x: tile.x, y: tile.y, angle: -1 };
+				game.cursor.set(tile);
+			}
 		}
 
 		if (mouseDownOrigin.tileIndex === -1) {
@@ -400,7 +408,10 @@ export function controls(node, game) {
 			const tileIndex = ongoingTouches[0].tileIndex;
 			const x = ongoingTouches[0].x;
 			const y = ongoingTouches[0].y;
-			if (tileIndex !== -1) {
+			if (tileIndex !== -1 && game.givens.has(tileIndex)) {
+				// given tiles can't be changed, so holding them does nothing
+				touchState = 'touchdown';
+			} else if (tileIndex !== -1) {
 				touchState = 'touchdown';
 				// event.preventDefault();
 				// start locking/unlocking if user holds for long enough
@@ -588,23 +599,211 @@ export function controls(node, game) {
 		lockingSet.clear();
 	}
 
+	/* KEYBOARD HANDLING */
+
+	/** @type {import('$lib/puzzle/game').Cursor} */
+	let cursor = { index: -1, x: 0, y: 0 };
+	const unsubscribeCursor = game.cursor.subscribe((c) => {
+		cursor = c;
+	});
+	// start of the current straight cursor run
+	// used to keep moving in a straight line along zigzagging tiles
+	let anchor = { x: 0, y: 0, angle: -1 };
+
 	/**
-	 * Handle keydown events
-	 * @param {KeyboardEvent} event
+	 * Movement keys => angle in degrees, counterclockwise from the right
+	 * Digits are laid out like on a numpad to allow diagonal moves
+	 * @type {Map<String, Number>}
+	 */
+	const MOVEMENT_KEYS = new Map([
+		['ArrowRight', 0],
+		['6', 0],
+		['9', 45],
+		['ArrowUp', 90],
+		['8', 90],
+		['7', 135],
+		['ArrowLeft', 180],
+		['4', 180],
+		['1', 225],
+		['ArrowDown', 270],
+		['2', 270],
+		['3', 315]
+	]);
+
+	/**
+	 * Place cursor on a tile and make sure it is visible
+	 * @param {{index: Number, x: Number, y: Number}} tile
+	 */
+	function placeCursor(tile) {
+		game.cursor.set({ index: tile.index, x: tile.x, y: tile.y });
+		const margin = 0.5;
+		let dx = 0;
+		let dy = 0;
+		if (tile.x - margin < viewBox.xmin) {
+			dx = viewBox.xmin - (tile.x - margin);
+		} else if (tile.x + margin > viewBox.xmin + viewBox.width) {
+			dx = viewBox.xmin + viewBox.width - (tile.x + margin);
+		}
+		if (tile.y - margin < viewBox.ymin) {
+			dy = viewBox.ymin - (tile.y - margin);
+		} else if (tile.y + margin > viewBox.ymin + viewBox.height) {
+			dy = viewBox.ymin + viewBox.height - (tile.y + margin);
+		}
+		if (dx !== 0 || dy !== 0) {
+			game.viewBox.pan(dx, dy);
+		}
+	}
+
+	/**
+	 * Show cursor on the non empty tile closest to the view center
 	 */
-	function handleKeyDown(event) {}
+	function showCursor() {
+		const cx = viewBox.xmin + viewBox.width / 2;
+		const cy = viewBox.ymin + viewBox.height / 2;
+		let best = null;
+		let bestDistance = Infinity;
+		for (let tile of grid.getVisibleTiles(viewBox)) {
+			if (grid.emptyCells.has(tile.index)) {
+				continue;
+			}
+			const distance = (tile.x - cx) ** 2 + (tile.y - cy) ** 2;
+			if (distance < bestDistance) {
+				best = tile;
+				bestDistance = distance;
+			}
+		}
+		if (best !== null) {
+			anchor = { x: best.x, y: best.y, angle: -1 };
+			placeCursor(best);
+		}
+	}
 
 	/**
-	 * Handle keyup events
+	 * Find a neighbour of the cursor tile that lies in a given direction on screen
+	 * Returns null if there is no such neighbour
+	 * @param {Number} angle - in degrees, counterclockwise from the right
+	 * @returns {{direction: Number, index: Number, x: Number, y: Number}|null}
+	 */
+	function findCursorNeighbour(angle) {
+		const radians = (angle * Math.PI) / 180;
+		const ux = Math.cos(radians);
+		const uy = -Math.sin(radians);
+		const nearby = grid.getVisibleTiles({
+			xmin: cursor.x - 2,
+			ymin: cursor.y - 2,
+			width: 4,
+			height: 4
+		});
+		let best = null;
+		let bestDelta = Math.PI / 2;
+		let bestDrift = Infinity;
+		for (let direction of grid.polygon_at(cursor.index).directions) {
+			const { neighbour, empty } = grid.find_neighbour(cursor.index, direction);
+			if (empty) {
+				continue;
+			}
+			// with wraps the neighbour has several copies, take the adjacent one
+			let tile = null;
+			let tileDistance = Infinity;
+			for (let t of nearby) {
+				const distance = (t.x - cursor.x) ** 2 + (t.y - cursor.y) ** 2;
+				if (t.index === neighbour && distance < tileDistance) {
+					tile = t;
+					tileDistance = distance;
+				}
+			}
+			if (tile === null) {
+				continue;
+			}
+			const dx = tile.x - cursor.x;
+			const dy = tile.y - cursor.y;
+			let delta = Math.abs(Math.atan2(-dy, dx) - radians) % (2 * Math.PI);
+			delta = Math.min(delta, 2 * Math.PI - delta);
+			// distance from the line that the cursor is moving along
+			const drift = Math.abs((tile.x - anchor.x) * uy - (tile.y - anchor.y) * ux);
+			if (delta < bestDelta - 0.001 || (delta < bestDelta + 0.001 && drift < bestDrift)) {
+				best = { direction, index: tile.index, x: tile.x, y: tile.y };
+				bestDelta = delta;
+				bestDrift = drift;
+			}
+		}
+		return best;
+	}
+
+	/**
+	 * Handle keydown events
 	 * @param {KeyboardEvent} event
 	 */
-	function handleKeyUp(event) {}
+	function handleKeyDown(event) {
+		const ctrl = event.ctrlKey || event.metaKey;
+		const key = event.key;
+		if (ctrl && (key === 'z' || key === 'Z')) {
+			event.preventDefault();
+			if (event.shiftKey ? game.redo() : game.undo()) {
+				save();
+			}
+			return;
+		}
+		if (ctrl && (key === 'y' || key === 'Y')) {
+			event.preventDefault();
+			if (game.redo()) {
+				save();
+			}
+			return;
+		}
+		if (key === 'Escape') {
+			game.cursor.set({ index: -1, x: 0, y: 0 });
+			return;
+		}
+		const angle = MOVEMENT_KEYS.get(key);
+		const isAction = key === ' ' || key === 'Enter' || key === 'l' || key === 'L';
+		if (angle === undefined && !isAction) {
+			return;
+		}
+		event.preventDefault();
+		if (cursor.index === -1) {
+			// first key press only shows the cursor
+			showCursor();
+			return;
+		}
+		if (angle !== undefined) {
+			const neighbour = findCursorNeighbour(angle);
+			if (neighbour === null) {
+				return;
+			}
+			if (event.shiftKey || ctrl) {
+				const mark = event.shiftKey ? 'wall' : 'conn';
+				game.toggleEdgeMark(mark, cursor.index, neighbour.direction, currentSettings.assistant);
+				save();
+			} else {
+				if (angle !== anchor.angle) {
+					anchor = { x: cursor.x, y: cursor.y, angle };
+				}
+				placeCursor(neighbour);
+			}
+		} else if (key === 'l' || key === 'L') {
+			game.toggleLocked(cursor.index, undefined, currentSettings.assistant);
+			save();
+		} else {
+			const rotationTimes = currentSettings.invertRotationDirection ? -1 : 1;
+			game.rotateTile(cursor.index, event.shiftKey ? -rotationTimes : rotationTimes);
+			save();
+		}
+	}
+
+	function handleBlur() {
+		game.cursor.set({ index: -1, x: 0, y: 0 });
+	}
 
+	// svg elements can't take focus without a tabindex, and keyboard events need focus
+	node.setAttribute('tabindex', '0');
+	node.setAttribute('role', 'application');
+	node.setAttribute('aria-label', 'Puzzle board, use arrow keys to move between tiles');
 	node.addEventListener('mousedown', handleMouseDown);
 	node.addEventListener('mousemove', handleMouseMove);
 	document.addEventListener('mouseup', handleMouseUp);
-	document.addEventListener('keydown', handleKeyDown);
-	document.addEventListener('keyup', handleKeyUp);
+	node.addEventListener('keydown', handleKeyDown);
+	node.addEventListener('blur', handleBlur);
 	if (useScrollZoomPan) {
 		node.addEventListener('wheel', handleWheel, { passive: false });
 	}
@@ -619,8 +818,8 @@ export function controls(node, game) {
 			node.removeEventListener('mousedown', handleMouseDown);
 			node.removeEventListener('mousemove', handleMouseMove);
 			document.removeEventListener('mouseup', handleMouseUp);
-			document.addEventListener('keydown', handleKeyDown);
-			document.addEventListener('keyup', handleKeyUp);
+			node.removeEventListener('keydown', handleKeyDown);
+			node.removeEventListener('blur', handleBlur);
 			node.removeEventListener('wheel', handleWheel);
 			window.removeEventListener('wheel', checkForTouchpad);
 
@@ -631,6 +830,7 @@ export function controls(node, game) {
 
 			unsubscribeViewBox();
 			unsubscribeSettings();
+			unsubscribeCursor();
 		}
 	};
 }
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { get } from 'svelte/store';
+import { controls } from './controls';
+import { PipesGame } from './game';
+import { HexaGrid } from './grids/hexagrid';
+
+describe('Test keyboard controls', () => {
+	it('Focuses the board and moves the cursor with arrow keys', () => {
+		const grid = new HexaGrid(3, 3, false);
+		const game = new PipesGame(grid, [1, 5, 1, 1, 62, 3, 1, 5, 1], undefined);
+		const node = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+		document.body.appendChild(node);
+		const action = controls(/** @type {any} */ (node), game);
+
+		node.focus();
+		expect(document.activeElement).toBe(node);
+
+		/** @param {String} key */
+		const press = (key) => node.dispatchEvent(new KeyboardEvent('keydown', { key }));
+		// first press only shows the cursor
+		press('ArrowRight');
+		const start = get(game.cursor);
+		expect(start.index).not.toBe(-1);
+		press('ArrowRight');
+		const moved = get(game.cursor);
+		expect(moved.index).not.toBe(start.index);
+		expect(moved.x).toBeGreaterThan(start.x);
+		expect(moved.y).toBeCloseTo(start.y);
+		press('ArrowLeft');
+		expect(get(game.cursor).index).toBe(start.index);
+
+		action.destroy();
+		node.remove();
+	});
+});
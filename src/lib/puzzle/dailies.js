@@ -0,0 +1,89 @@
+/**
+ * Daily puzzles are stored as /_instances/daily/YYYY/MM/DD.json
+ * The daily/index.json manifest lists grid kind and size of every daily puzzle.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} DailyInfo
+ * @property {import('$lib/puzzle/grids/grids').GridKind} grid
+ * @property {Number} width
+ * @property {Number} height
+ * @property {Boolean} wrap
+ */
+
+/**
+ * @typedef {Object} DailyStreaks
+ * @property {Number} current - consecutive days solved up to today or yesterday
+ * @property {Number} longest
+ */
+
+/**
+ * Local date in YYYY-MM-DD format
+ * @param {Date} date
+ * @returns {String}
+ */
+export function formatDate(date) {
+	const year = date.getFullYear().toString().padStart(4, '0');
+	const month = (date.getMonth() + 1).toString().padStart(2, '0');
+	const day = date.getDate().toString().padStart(2, '0');
+	return `${year}-${month}-${day}`;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {String} date
+ * @param {Number} days
+ * @returns {String}
+ */
+export function addDays(date, days) {
+	return new Date(new Date(date).valueOf() + days * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {String} date - YYYY-MM-DD
+ * @returns {String}
+ */
+export function dailyUrl(date) {
+	const [year, month, day] = date.split('-');
+	return `/_instances/daily/${year}/${month}/${day}.json`;
+}
+
+/**
+ * Load the manifest of daily puzzles
+ * @param {typeof fetch} fetch
+ * @returns {Promise<Object<String, DailyInfo>>} - date => puzzle info
+ */
+export async function loadDailyIndex(fetch) {
+	const response = await fetch('/_instances/daily/index.json');
+	if (!response.ok) {
+		return {};
+	}
+	return await response.json();
+}
+
+/**
+ * Count solve streaks
+ * @param {Set<String>} solvedDates - dates of dailies solved on their day
+ * @param {String} today
+ * @returns {DailyStreaks}
+ */
+export function countStreaks(solvedDates, today) {
+	let current = 0;
+	// today's puzzle might still be unsolved, that does not break the streak yet
+	let date = solvedDates.has(today) ? today : addDays(today, -1);
+	while (solvedDates.has(date)) {
+		current += 1;
+		date = addDays(date, -1);
+	}
+	let longest = 0;
+	let streak = 0;
+	let previous = '';
+	for (let date of [...solvedDates].sort()) {
+		streak = previous !== '' && addDays(previous, 1) === date ? streak + 1 : 1;
+		longest = Math.max(longest, streak);
+		previous = date;
+	}
+	return { current, longest };
+}
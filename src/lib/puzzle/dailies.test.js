@@ -1,4 +1,5 @@
 import { describe, expect, it } from 'vitest';
+import { addDays, countStreaks } from './dailies';
 import { Generator } from './generator';
 import { randomGrid } from './grids/grids';
 import { Solver } from './solver';
@@ -45,6 +46,23 @@ function getStartDate() {
 	return new Date(date.valueOf() + 86400 * 1000);
 }
 
+describe('Test daily streaks', () => {
+	it('Shifts dates across months and years', () => {
+		expect(addDays('2022-12-31', 1)).toBe('2023-01-01');
+		expect(addDays('2023-03-01', -1)).toBe('2023-02-28');
+	});
+
+	it('Counts current and longest streaks', () => {
+		const solved = new Set(['2023-01-01', '2023-01-02', '2023-01-03', '2023-01-05', '2023-01-06']);
+		expect(countStreaks(solved, '2023-01-06')).toEqual({ current: 2, longest: 3 });
+		// today is not solved yet
+		expect(countStreaks(solved, '2023-01-07')).toEqual({ current: 2, longest: 3 });
+		expect(countStreaks(solved, '2023-01-08')).toEqual({ current: 0, longest: 3 });
+		expect(countStreaks(new Set(), '2023-01-08')).toEqual({ current: 0, longest: 0 });
+	});
+});
+
+// after generating new dailies run `node scripts/daily-index.js` to update the archive manifest
 describe('Generate dailies', () => {
 	it.skip('Creates random evil puzzles', () => {
 		let date = getStartDate();
@@ -25,6 +25,7 @@ import { settings } from "$lib/stores";
  * @property {Number} rotations
  * @property {String} color
  * @property {Boolean} locked
+ * @property {Boolean} given - revealed by the puzzle, stays locked
  * @property {Boolean} isPartOfLoop
  * @property {Boolean} isPartOfIsland
  * @property {Boolean} hasDisconnects
@@ -39,12 +40,47 @@ import { settings } from "$lib/stores";
  * @property {String} color
  */
 
+/**
+ * A single recorded change of some tile's state
+ * @typedef {{type: 'rotate', index: Number, times: Number}
+ * | {type: 'lock', index: Number, locked: Boolean}
+ * | {type: 'edgemark', index: Number, edgeIndex: Number, from: EdgeMark, to: EdgeMark}} HistoryChange
+ */
+
+/**
+ * Undo/redo history of player moves
+ * A move is a list of changes made by a single action
+ * (the assistant may add some changes to neighbouring tiles)
+ * @typedef {Object} History
+ * @property {HistoryChange[][]} moves
+ * @property {Number} position - number of applied moves, the rest can be redone
+ */
+
+/**
+ * Player's locked tiles and edge marks that contradict the solution
+ * @typedef {Object} Mistakes
+ * @property {Number[]} tiles - indices of locked tiles
+ * @property {{index: Number, direction: Number, mark: 'wall'|'conn'}[]} marks
+ */
+
 /**
  * Saved progress for pipes puzzle
  * @typedef {Object} Progress
  * @property {SavedTileState[]} tiles
+ * @property {History} [history]
  */
 
+/**
+ * Keyboard cursor position
+ * @typedef {Object} Cursor
+ * @property {Number} index - tile index, -1 if the cursor is hidden
+ * @property {Number} x - center of the tile copy that the cursor is on
+ * @property {Number} y
+ */
+
+// keep this many last moves in history
+const HISTORY_LIMIT = 1000;
+
 /**
  * @constructor
  * @param {TileState} initialState
@@ -116,8 +152,9 @@ function StateStore(initialState) {
  * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
  * @param {Number[]} tiles
  * @param {Progress|undefined} savedProgress
+ * @param {Number[]} givens - indices of tiles that are shown in their solved orientation
  */
-export function PipesGame(grid, tiles, savedProgress) {
+export function PipesGame(grid, tiles, savedProgress, givens = []) {
 	/**
 	 * @type {import('$lib/stores').Settings}
 	 */
@@ -131,10 +168,13 @@ export function PipesGame(grid, tiles, savedProgress) {
 
 	self.grid = grid;
 	self.tiles = tiles;
+	self.givens = new Set(givens);
 	self.initialized = false;
 	self._solved = false;
 	self.solved = writable(false);
 	self.viewBox = createViewBox(grid);
+	/** @type {import('svelte/store').Writable<Cursor>} */
+	self.cursor = writable({ index: -1, x: 0, y: 0 });
 
 	/**
 	 * @type {Map<Number, Set<Number>>} - a map of
@@ -174,6 +214,18 @@ export function PipesGame(grid, tiles, savedProgress) {
 	 * @type {EdgeMark[]}
 	 */
 	const defaultEdgeMarks = ['empty', 'empty', 'empty'];
+
+	/** @type {History} */
+	self.history = { moves: [], position: 0 };
+	const savedHistory = savedProgress?.history;
+	if (savedHistory && savedHistory.position <= savedHistory.moves.length) {
+		self.history = savedHistory;
+	}
+	/** @type {HistoryChange[]} - changes made by an action that is in progress */
+	let currentMove = [];
+	let moveDepth = 0;
+	let replaying = false;
+
 	if (savedProgress) {
 		self.tileStates = savedProgress.tiles.map((savedTile, index) => {
 			return new StateStore({
@@ -183,7 +235,8 @@ export function PipesGame(grid, tiles, savedProgress) {
 				isPartOfLoop: false,
 				isPartOfIsland: false,
 				hasDisconnects: false,
-				locked: savedTile.locked,
+				locked: savedTile.locked || self.givens.has(index),
+				given: self.givens.has(index),
 				edgeMarks: savedTile.edgeMarks || [...defaultEdgeMarks]
 			});
 		});
@@ -206,7 +259,8 @@ export function PipesGame(grid, tiles, savedProgress) {
 				isPartOfLoop: false,
 				isPartOfIsland: false,
 				hasDisconnects: false,
-				locked: false,
+				locked: self.givens.has(index),
+				given: self.givens.has(index),
 				edgeMarks
 			});
 		});
@@ -307,6 +361,8 @@ export function PipesGame(grid, tiles, savedProgress) {
 		self.disconnectStrokeWidthScale.set(1);
 		self.disconnectStrokeColor.set('#888888');
 
+		self.history = { moves: [], position: 0 };
+
 		self.tileStates.forEach((tileState, index) => {
 			tileState.set({
 				tile: tiles[index],
@@ -315,7 +371,8 @@ export function PipesGame(grid, tiles, savedProgress) {
 				isPartOfLoop: false,
 				isPartOfIsland: false,
 				hasDisconnects: false,
-				locked: false,
+				locked: self.givens.has(index),
+				given: self.givens.has(index),
 				// some tiles could have set their edgemarks to none
 				// if they are on the outer border
 				// remember that and remove edgemarks otherwise
@@ -347,6 +404,7 @@ export function PipesGame(grid, tiles, savedProgress) {
 			tileIndex
 		);
 		tileState.rotate(times);
+		self.recordChange({ type: 'rotate', index: tileIndex, times });
 		const newDirections = self.grid.getDirections(
 			tileState.data.tile,
 			tileState.data.rotations,
@@ -409,19 +467,26 @@ export function PipesGame(grid, tiles, savedProgress) {
 			}
 			return;
 		}
+		self.beginMove();
 		const tileState = self.tileStates[tileIndex];
-		if (tileState.data.edgeMarks[index] !== 'none') {
-			if (tileState.data.edgeMarks[index] === mark || mark === 'empty') {
+		const from = tileState.data.edgeMarks[index];
+		if (from !== 'none') {
+			if (from === mark || mark === 'empty') {
 				tileState.data.edgeMarks[index] = 'empty';
 			} else {
 				tileState.data.edgeMarks[index] = mark;
 			}
 		}
 		tileState.set(tileState.data);
-		if (tileState.data.edgeMarks[index] !== 'empty' && assistant) {
+		const to = tileState.data.edgeMarks[index];
+		if (to !== from) {
+			self.recordChange({ type: 'edgemark', index: tileIndex, edgeIndex: index, from, to });
+		}
+		if (to !== 'empty' && assistant) {
 			self.rotateToMatchMarks(tileIndex);
 			self.rotateToMatchMarks(neighbour);
 		}
+		self.endMove();
 	};
 
 	/**
@@ -477,6 +542,74 @@ export function PipesGame(grid, tiles, savedProgress) {
 		}
 	};
 
+	/**
+	 * Collect what the player has figured out so far:
+	 * orientations of locked tiles and edge marks
+	 * @returns {{locked: Map<Number, Number>, marks: {index: Number, direction: Number, mark: 'wall'|'conn'}[]}}
+	 */
+	self.getPlayerKnowledge = function () {
+		/** @type {Map<Number, Number>} */
+		const locked = new Map();
+		/** @type {{index: Number, direction: Number, mark: 'wall'|'conn'}[]} */
+		const marks = [];
+		self.tileStates.forEach((tileState, index) => {
+			const data = tileState.data;
+			if (data.locked) {
+				locked.set(index, self.grid.rotate(data.tile, data.rotations, index));
+			}
+			self.grid.EDGEMARK_DIRECTIONS.forEach((direction, edgeIndex) => {
+				const mark = data.edgeMarks[edgeIndex];
+				if (mark === 'wall' || mark === 'conn') {
+					marks.push({ index, direction, mark });
+				}
+			});
+		});
+		return { locked, marks };
+	};
+
+	/**
+	 * Find locked tiles and edge marks that contradict the solution
+	 * Negative values in solution mean that the tile is unknown or ambiguous, those are not checked
+	 * @param {Number[]} solution - tile orientations
+	 * @returns {Mistakes}
+	 */
+	self.findMistakes = function (solution) {
+		const { locked, marks } = self.getPlayerKnowledge();
+		/** @type {Mistakes} */
+		const mistakes = { tiles: [], marks: [] };
+		for (let [index, orientation] of locked.entries()) {
+			if (solution[index] >= 0 && solution[index] !== orientation) {
+				mistakes.tiles.push(index);
+			}
+		}
+		for (let mark of marks) {
+			const { neighbour } = self.grid.find_neighbour(mark.index, mark.direction);
+			if (solution[mark.index] < 0 || solution[neighbour] < 0) {
+				continue;
+			}
+			const connected = (solution[mark.index] & mark.direction) > 0;
+			if (connected !== (mark.mark === 'conn')) {
+				mistakes.marks.push(mark);
+			}
+		}
+		return mistakes;
+	};
+
+	/**
+	 * Unlock wrongly locked tiles and erase wrong edge marks as a single move
+	 * @param {Mistakes} mistakes
+	 */
+	self.fixMistakes = function (mistakes) {
+		self.beginMove();
+		for (let index of mistakes.tiles) {
+			self.toggleLocked(index, false);
+		}
+		for (let { index, direction } of mistakes.marks) {
+			self.toggleEdgeMark('empty', index, direction);
+		}
+		self.endMove();
+	};
+
 	/**
 	 * @param {{detail: {
 	 *  tileIndex: Number,
@@ -738,14 +871,20 @@ export function PipesGame(grid, tiles, savedProgress) {
 	 */
 	self.toggleLocked = function (tileIndex, state = undefined, assistant = false) {
 		const tileState = self.tileStates[tileIndex];
+		if (tileState.data.given) {
+			// given tiles can't be unlocked
+			return true;
+		}
 		let targetState = false;
 		if (state === undefined) {
 			targetState = !tileState.data.locked;
 		} else {
 			targetState = state;
 		}
+		self.beginMove();
 		if (tileState.data.locked !== targetState) {
 			tileState.toggleLocked();
+			self.recordChange({ type: 'lock', index: tileIndex, locked: targetState });
 		}
 		if (targetState && currentSettings.removeEdgeMarksOnLock) {
 			for (const direction of grid.DIRECTIONS) {
@@ -761,6 +900,7 @@ export function PipesGame(grid, tiles, savedProgress) {
 				self.rotateToMatchMarks(neighbour);
 			}
 		}
+		self.endMove();
 		if (self.initialized) {
 			self._solved = self.isSolved();
 			if (self._solved) {
@@ -770,6 +910,97 @@ export function PipesGame(grid, tiles, savedProgress) {
 		return targetState;
 	};
 
+	/**
+	 * Start grouping changes into a single move.
+	 * Calls can be nested, the move ends with the outermost endMove
+	 */
+	self.beginMove = function () {
+		moveDepth += 1;
+	};
+
+	/**
+	 * Finish a move and put it into history if anything changed
+	 */
+	self.endMove = function () {
+		moveDepth = Math.max(0, moveDepth - 1);
+		if (moveDepth > 0 || currentMove.length === 0) {
+			return;
+		}
+		// a new move discards the moves that could be redone
+		self.history.moves.splice(self.history.position);
+		self.history.moves.push(currentMove);
+		if (self.history.moves.length > HISTORY_LIMIT) {
+			self.history.moves.shift();
+		}
+		self.history.position = self.history.moves.length;
+		currentMove = [];
+	};
+
+	/**
+	 * @param {HistoryChange} change
+	 */
+	self.recordChange = function (change) {
+		if (replaying) {
+			return;
+		}
+		self.beginMove();
+		currentMove.push(change);
+		self.endMove();
+	};
+
+	/**
+	 * Apply a recorded change or revert it
+	 * @param {HistoryChange} change
+	 * @param {Boolean} revert
+	 */
+	function applyChange(change, revert) {
+		if (change.type === 'rotate') {
+			self.rotateTile(change.index, revert ? -change.times : change.times);
+		} else if (change.type === 'lock') {
+			self.toggleLocked(change.index, revert ? !change.locked : change.locked);
+		} else if (change.type === 'edgemark') {
+			const tileState = self.tileStates[change.index];
+			tileState.data.edgeMarks[change.edgeIndex] = revert ? change.from : change.to;
+			tileState.set(tileState.data);
+		}
+	}
+
+	/**
+	 * Revert the last move
+	 * @returns {Boolean} - true if there was a move to undo
+	 */
+	self.undo = function () {
+		if (self._solved || self.history.position === 0) {
+			return false;
+		}
+		self.history.position -= 1;
+		const move = self.history.moves[self.history.position];
+		replaying = true;
+		for (let i = move.length - 1; i >= 0; i--) {
+			applyChange(move[i], true);
+		}
+		replaying = false;
+		return true;
+	};
+
+	/**
+	 * Repeat the last undone move
+	 * @returns {Boolean} - true if there was a move to redo
+	 */
+	self.redo = function () {
+		if (self._solved || self.history.position >= self.history.moves.length) {
+			return false;
+		}
+		const move = self.history.moves[self.history.position];
+		self.history.position += 1;
+		replaying = true;
+		for (let change of move) {
+			applyChange(change, false);
+		}
+		replaying = false;
+		return true;
+	};
+
 	/**
 	 * @param {Number} fromIndex
 	 * @param {Number} toIndex
@@ -130,3 +130,172 @@ describe('Test initialize board', () => {
 		});
 	});
 });
+
+describe('Test undo and redo', () => {
+	const grid = new HexaGrid(3, 3, false);
+	const tiles = [1, 3, 3, 11, 11, 5, 1, 1, 1];
+
+	it('Undoes and redoes rotations', () => {
+		const game = new PipesGame(grid, tiles, undefined);
+		game.initializeBoard();
+		game.rotateTile(0, 1);
+		game.rotateTile(0, 1);
+		game.rotateTile(4, -1);
+		expect(game.history.moves.length).toBe(3);
+		expect(game.undo()).toBe(true);
+		expect(game.tileStates[4].data.rotations).toBe(0);
+		expect(game.undo()).toBe(true);
+		expect(game.tileStates[0].data.rotations).toBe(1);
+		expect(game.redo()).toBe(true);
+		expect(game.tileStates[0].data.rotations).toBe(2);
+		expect(game.history.position).toBe(2);
+	});
+
+	it('Restores components after undo', () => {
+		const game = new PipesGame(grid, tiles, undefined);
+		game.initializeBoard();
+		const component = game.components.get(0);
+		game.rotateTile(3, 2);
+		expect(game.components.get(3)).not.toBe(game.components.get(4));
+		game.undo();
+		expect(game.components.get(3)).toBe(game.components.get(4));
+		expect(game.components.get(0)).toBe(component);
+	});
+
+	it('Undoes locks and edge marks', () => {
+		const game = new PipesGame(grid, tiles, undefined);
+		game.initializeBoard();
+		game.toggleLocked(4);
+		game.toggleEdgeMark('wall', 4, 2);
+		expect(game.tileStates[4].data.edgeMarks[0]).toBe('wall');
+		game.undo();
+		expect(game.tileStates[4].data.edgeMarks[0]).toBe('empty');
+		expect(game.tileStates[4].data.locked).toBe(true);
+		game.undo();
+		expect(game.tileStates[4].data.locked).toBe(false);
+		expect(game.undo()).toBe(false);
+		game.redo();
+		game.redo();
+		expect(game.tileStates[4].data.locked).toBe(true);
+		expect(game.tileStates[4].data.edgeMarks[0]).toBe('wall');
+		expect(game.redo()).toBe(false);
+	});
+
+	it('Groups assistant changes into a single move', () => {
+		const game = new PipesGame(grid, tiles, undefined);
+		game.initializeBoard();
+		// a wall between tiles 3 and 4 makes the assistant rotate both of them
+		game.toggleEdgeMark('wall', 4, 8, true);
+		expect(game.history.moves.length).toBe(1);
+		expect(game.history.moves[0].length).toBeGreaterThan(1);
+		game.undo();
+		game.tileStates.forEach((stateStore) => {
+			expect(stateStore.data.rotations).toBe(0);
+			expect(stateStore.data.edgeMarks[2]).not.toBe('wall');
+		});
+	});
+
+	it('Discards redo moves after a new move', () => {
+		const game = new PipesGame(grid, tiles, undefined);
+		game.initializeBoard();
+		game.rotateTile(0, 1);
+		game.rotateTile(1, 1);
+		game.undo();
+		game.rotateTile(2, 1);
+		expect(game.history.moves.length).toBe(2);
+		expect(game.redo()).toBe(false);
+	});
+
+	it('Continues history from saved progress', () => {
+		const game = new PipesGame(grid, tiles, undefined);
+		game.initializeBoard();
+		game.rotateTile(0, 1);
+		game.toggleLocked(0);
+		const progress = {
+			tiles: game.tileStates.map((tile) => {
+				const { rotations, color, locked, edgeMarks } = tile.data;
+				return { rotations, color, locked, edgeMarks };
+			}),
+			history: JSON.parse(JSON.stringify(game.history))
+		};
+		const restored = new PipesGame(grid, tiles, progress);
+		restored.initializeBoard();
+		restored.undo();
+		restored.undo();
+		expect(restored.tileStates[0].data.locked).toBe(false);
+		expect(restored.tileStates[0].data.rotations).toBe(0);
+	});
+});
+
+describe('Test mistake check', () => {
+	const grid = new HexaGrid(2, 3, false);
+	const tiles = [1, 1, 15, 1, 1, 3];
+	const solution = [32, 16, 39, 8, 1, 12];
+
+	/**
+	 * Lock tile 0 in a wrong orientation, tile 1 in the right one
+	 * and make a correct and a wrong edge mark
+	 */
+	function makeGame() {
+		const game = new PipesGame(grid, tiles, undefined);
+		game.initializeBoard();
+		let rotations = 0;
+		while (grid.rotate(tiles[1], rotations, 1) !== solution[1]) {
+			rotations += 1;
+		}
+		game.rotateTile(1, rotations);
+		game.toggleLocked(0);
+		game.toggleLocked(1);
+		game.toggleEdgeMark('conn', 5, 8);
+		game.toggleEdgeMark('wall', 3, 8);
+		return game;
+	}
+
+	it('Finds wrongly locked tiles and wrong edge marks', () => {
+		const game = makeGame();
+		const mistakes = game.findMistakes(solution);
+		expect(mistakes.tiles).toEqual([0]);
+		expect(mistakes.marks).toEqual([{ index: 3, direction: 8, mark: 'wall' }]);
+	});
+
+	it('Does not check ambiguous tiles', () => {
+		const game = makeGame();
+		const mistakes = game.findMistakes([-2, 16, 39, -2, 1, 12]);
+		expect(mistakes.tiles).toEqual([]);
+		expect(mistakes.marks).toEqual([]);
+	});
+
+	it('Fixes mistakes in a single move', () => {
+		const game = makeGame();
+		game.fixMistakes(game.findMistakes(solution));
+		expect(game.tileStates[0].data.locked).toBe(false);
+		expect(game.tileStates[1].data.locked).toBe(true);
+		expect(game.tileStates[3].data.edgeMarks[2]).toBe('empty');
+		expect(game.tileStates[5].data.edgeMarks[2]).toBe('conn');
+		game.undo();
+		expect(game.tileStates[0].data.locked).toBe(true);
+		expect(game.tileStates[3].data.edgeMarks[2]).toBe('wall');
+	});
+});
+
+describe('Test given tiles', () => {
+	const grid = new HexaGrid(2, 3, false);
+	const solution = [32, 16, 39, 8, 1, 12];
+	const tiles = [1, 1, 39, 1, 1, 3];
+
+	it('Keeps given tiles locked in place', () => {
+		const game = new PipesGame(grid, tiles, undefined, [2]);
+		game.initializeBoard();
+		expect(game.tileStates[2].data.given).toBe(true);
+		expect(game.tileStates[2].data.locked).toBe(true);
+		expect(game.tileStates[0].data.given).toBe(false);
+		expect(game.toggleLocked(2)).toBe(true);
+		game.rotateTile(2, 1);
+		expect(game.tileStates[2].data.locked).toBe(true);
+		expect(game.tileStates[2].data.rotations).toBe(0);
+		expect(game.history.moves.length).toBe(0);
+		game.startOver();
+		expect(game.tileStates[2].data.locked).toBe(true);
+		expect(game.findMistakes(solution).tiles).toEqual([]);
+	});
+});
@@ -1,9 +1,17 @@
 import { Cell, Solver } from '$lib/puzzle/solver';
+import { tileClasses } from '$lib/puzzle/grids/polygonutils';
 
 /**
  * @typedef {'unique'|'multiple'|'whatever'} SolutionsNumber
  */
 
+/**
+ * How to make a puzzle unique when it has ambiguous areas
+ * regrow: erase ambiguous areas and grow them again
+ * givens: keep the tree and show some tiles in their solved orientation
+ * @typedef {'regrow'|'givens'} AmbiguityFix
+ */
+
 /**
  * @typedef {object} GeneratorProgress
  * @property {Number} attempt
@@ -16,6 +24,23 @@ import { Cell, Solver } from '$lib/puzzle/solver';
  * @property {Number} avoidObvious
  * @property {Number} avoidStraights
  * @property {SolutionsNumber} solutionsNumber
+ * @property {import('$lib/puzzle/solver').DifficultyBand} [difficulty]
+ * @property {TileDistribution} [tileDistribution]
+ * @property {import('$lib/puzzle/grids/abstractgrid').Symmetry} [symmetry]
+ * @property {AmbiguityFix} [fixAmbiguity]
+ * @property {Number} [extraGivens]
+ */
+
+/**
+ * @typedef {Partial<Record<import('$lib/puzzle/grids/polygonutils').TileClass, Number>>} TileDistribution
+ * Shares of non-empty tiles by their class, classes that are left out can have any share
+ */
+
+/**
+ * @typedef {object} DistributionReport
+ * @property {TileDistribution} target
+ * @property {TileDistribution} actual - shares of all tile classes in the generated puzzle
+ * @property {Number} distance - largest difference between target and actual share
  */
 
 const emptyCallback = (/**@type {GeneratorProgress} */ progress) => {};
@@ -23,9 +48,10 @@ const emptyCallback = (/**@type {GeneratorProgress} */ progress) => {};
 /**
  * Returns a random element from an array
  * @param {Array<any>} array
+ * @param {import('$lib/puzzle/random').RNG} random
  */
-function getRandomElement(array) {
-	const index = Math.floor(Math.random() * array.length);
+function getRandomElement(array, random) {
+	const index = Math.floor(random() * array.length);
 	return array[index];
 }
 
@@ -33,26 +59,97 @@ function getRandomElement(array) {
  * Randomize tile rotations
  * @param {Number[]} tiles
  * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @param {import('$lib/puzzle/random').RNG} random
+ * @param {Set<Number>} givens - tiles that keep their orientation
  * @returns {Number[]}
  */
-function randomRotate(tiles, grid) {
+function randomRotate(tiles, grid, random, givens = new Set()) {
 	return tiles.map((tile, index) => {
-		if (tile === 0) {
-			return 0;
+		if (tile === 0 || givens.has(index)) {
+			return tile;
 		}
 		const polygon = grid.polygon_at(index);
 		const numDirections = polygon.directions.length;
-		let rotated = polygon.rotate(tile, Math.floor(Math.random() * numDirections));
+		let rotated = polygon.rotate(tile, Math.floor(random() * numDirections));
 		return rotated;
 	});
 }
 
+/**
+ * Checks that a tile distribution has shares in range [0, 1] adding up to at most 1
+ * @param {TileDistribution} distribution
+ */
+export function validateTileDistribution(distribution) {
+	let sum = 0;
+	for (let [tileClass, share] of Object.entries(distribution)) {
+		if (!tileClasses.some((x) => x === tileClass)) {
+			throw `Unknown tile class: "${tileClass}". Expected one of ${tileClasses.join(', ')}`;
+		}
+		if (typeof share !== 'number' || isNaN(share) || share < 0 || share > 1) {
+			throw `Share of ${tileClass} tiles must be a number in range [0, 1]`;
+		}
+		sum += share;
+	}
+	if (sum > 1 + 1e-9) {
+		throw 'Shares of tile classes add up to more than 1';
+	}
+}
+
+/**
+ * Measures shares of tile classes in a puzzle
+ * @param {Number[]} tiles
+ * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @returns {TileDistribution}
+ */
+export function measureTileDistribution(tiles, grid) {
+	/** @type {TileDistribution} */
+	const distribution = Object.fromEntries(tileClasses.map((tileClass) => [tileClass, 0]));
+	let total = 0;
+	tiles.forEach((tile, index) => {
+		const tileType = grid.polygon_at(index).tileTypes.get(tile);
+		if (tileType !== undefined) {
+			distribution[tileType.tileClass] = (distribution[tileType.tileClass] || 0) + 1;
+			total += 1;
+		}
+	});
+	for (let tileClass of tileClasses) {
+		distribution[tileClass] = (distribution[tileClass] || 0) / Math.max(total, 1);
+	}
+	return distribution;
+}
+
+/**
+ * Largest difference between target and actual shares of tile classes
+ * @param {TileDistribution} actual
+ * @param {TileDistribution} target
+ * @returns {Number}
+ */
+export function distributionDistance(actual, target) {
+	let distance = 0;
+	for (let tileClass of tileClasses) {
+		const share = target[tileClass];
+		if (share !== undefined) {
+			distance = Math.max(distance, Math.abs((actual[tileClass] || 0) - share));
+		}
+	}
+	return distance;
+}
+
+/** Number of random tiles compared to pick the one to grow from when there is a target distribution */
+const TARGET_CANDIDATES = 8;
+
 export class Generator {
+	/** @type {DistributionReport|null} - how close the last generated puzzle is to the asked tile distribution */
+	distributionReport = null;
+	/** @type {Number[]} - tiles of the last generated puzzle that are shown in their solved orientation */
+	givens = [];
+
 	/**
 	 * @constructor
 	 * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
 	 * @param {Number} [reuse_tiles_min_count = 3] minimum count of connected tiles to leave when erasing ambiguities.
 	 * @param {Number} [uniqueness_patience = 5] abandon generation attempt if the count of ambiguous tiles did not decrease in this many iterations
+	 * @param {import('$lib/puzzle/random').RNG} [random = Math.random] random number generator, pass a seeded one to get reproducible puzzles
 	 */
 	constructor(
 		grid,
@@ -61,7 +158,8 @@ export class Generator {
 		max_uniqueness_iterations = 100,
 		max_attempts = 100,
 		solver_progress_callback = undefined,
-		generator_progress_callback = undefined
+		generator_progress_callback = undefined,
+		random = Math.random
 	) {
 		this.grid = grid;
 		this.reuse_tiles_min_count = reuse_tiles_min_count;
@@ -70,6 +168,7 @@ export class Generator {
 		this.max_uniqueness_iterations = max_uniqueness_iterations;
 		this.solver_progress_callback = solver_progress_callback;
 		this.generator_progress_callback = generator_progress_callback || emptyCallback;
+		this.random = random;
 	}
 
 	/**
@@ -81,9 +180,18 @@ export class Generator {
 	 * @param {Number} avoidObvious - number in range [0, 1], higher values lead to fewer obvious tiles along borders
 	 * @param {Number} avoidStraights - number in range [0, 1], higher values lead to fewer straight tiles
 	 * @param {Number[]} startTiles - starting point tiles if we're fixing ambiguities
+	 * @param {TileDistribution} tileDistribution - target shares of tile classes, moves that take the tiles away from it are avoided
+	 * @param {import('$lib/puzzle/grids/abstractgrid').SymmetryMap[]} symmetryMaps - every move is repeated by these maps to make a symmetric tree
 	 * @returns {Number[]} - unrandomized tiles array
 	 */
-	pregenerate_growingtree(branchingAmount, avoidObvious = 0, avoidStraights = 0, startTiles = []) {
+	pregenerate_growingtree(
+		branchingAmount,
+		avoidObvious = 0,
+		avoidStraights = 0,
+		startTiles = [],
+		tileDistribution = {},
+		symmetryMaps = []
+	) {
 		const total = this.grid.total;
 
 		/** @type {Set<Number>} A set of unvisited nodes*/
@@ -107,6 +215,13 @@ export class Generator {
 		const startComponents = new Map();
 		// reuse non-ambiguous portions of startTiles
 		if (startTiles.length === total) {
+			if (symmetryMaps.length > 0) {
+				// images of ambiguous tiles are ambiguous too
+				const marked = startTiles;
+				startTiles = marked.map((tile, index) =>
+					symmetryMaps.some((map) => marked[map.tiles[index]] < 0) ? -1 : tile
+				);
+			}
 			const to_check = new Set(unvisited);
 			const components = [];
 			while (to_check.size > 0) {
@@ -143,6 +258,13 @@ export class Generator {
 				components.push(component);
 			}
 			components.sort((a, b) => -(a.size - b.size));
+			if (symmetryMaps.length > 0) {
+				// only a region that is its own image can grow into a symmetric tree
+				const symmetric = components.find((component) =>
+					symmetryMaps.every((map) => [...component].every((i) => component.has(map.tiles[i])))
+				);
+				components.splice(0, components.length, ...(symmetric ? [symmetric] : []));
+			}
 			// components[0] now has the largest region of non-ambiguous connected tiles
 			for (let index of components[0] || []) {
 				for (let direction of this.grid.getDirections(startTiles[index], 0, index)) {
@@ -223,24 +345,227 @@ export class Generator {
 			}
 		}
 
+		/** @type {Map<import('$lib/puzzle/grids/polygonutils').TileClass, Number>} tile class => number of tiles */
+		const classCounts = new Map();
+		let placedCount = 0;
+		/**
+		 * @type {Set<Number>} - tiles counted in classCounts
+		 * A tile is counted once the tree grows from it or gives up on it.
+		 * Until then it is a dead end only for now, counting it would throw off the target.
+		 */
+		const counted = new Set();
+		/** @type {[import('$lib/puzzle/grids/polygonutils').TileClass, Number][]} */
+		const targetShares = [];
+		for (let tileClass of tileClasses) {
+			const share = tileDistribution[tileClass];
+			if (share !== undefined) {
+				targetShares.push([tileClass, share]);
+			}
+		}
+		/**
+		 * Count a tile as changed to a new value
+		 * @param {Map<import('$lib/puzzle/grids/polygonutils').TileClass, Number>} counts
+		 * @param {Number} index
+		 * @param {Number} tile
+		 * @returns {Number} - change of the number of placed tiles
+		 */
+		const recount = (counts, index, tile) => {
+			const tileTypes = this.grid.polygon_at(index).tileTypes;
+			const before = counted.has(index) ? tileTypes.get(tiles[index])?.tileClass : undefined;
+			const after = tileTypes.get(tile)?.tileClass;
+			if (before !== undefined) {
+				counts.set(before, (counts.get(before) || 0) - 1);
+			}
+			if (after !== undefined) {
+				counts.set(after, (counts.get(after) || 0) + 1);
+			}
+			return (after === undefined ? 0 : 1) - (before === undefined ? 0 : 1);
+		};
+		/**
+		 * Squared distance from the target distribution if some tiles were changed and counted
+		 * @param {{index: Number, tile: Number}[]} changes
+		 * @returns {Number}
+		 */
+		const distributionError = (changes) => {
+			const counts = new Map(classCounts);
+			let placed = placedCount;
+			for (let { index, tile } of changes) {
+				placed += recount(counts, index, tile);
+			}
+			return targetShares.reduce(
+				(sum, [tileClass, share]) =>
+					sum + ((counts.get(tileClass) || 0) / Math.max(placed, 1) - share) ** 2,
+				0
+			);
+		};
+		/**
+		 * Count a tile as it is now
+		 * @param {Number} index
+		 */
+		const count = (index) => {
+			if (targetShares.length > 0 && !counted.has(index)) {
+				placedCount += recount(classCounts, index, tiles[index]);
+				counted.add(index);
+			}
+		};
+		// reused tiles are already grown
+		tiles.forEach((tile, index) => {
+			if (tile > 0) {
+				count(index);
+			}
+		});
+
+		if (visited.length === 0 && symmetryMaps.length > 0) {
+			// a symmetric tree has a tile or an edge that is its own image
+			const centers = [...unvisited].filter((index) =>
+				symmetryMaps.every((map) => map.tiles[index] === index)
+			);
+			if (centers.length > 0) {
+				const startIndex = getRandomElement(centers, this.random);
+				visited.push(startIndex);
+				unvisited.delete(startIndex);
+			} else {
+				/** @type {{index: Number, direction: Number, neighbour: Number}[]} */
+				const centerEdges = [];
+				if (symmetryMaps.length === 1) {
+					const [map] = symmetryMaps;
+					for (let index of unvisited) {
+						map.directions[index].forEach((imageDirection, direction) => {
+							const { neighbour } = this.grid.find_neighbour(index, direction);
+							if (
+								neighbour === map.tiles[index] &&
+								imageDirection === this.grid.OPPOSITE.get(direction)
+							) {
+								centerEdges.push({ index, direction, neighbour });
+							}
+						});
+					}
+				}
+				if (centerEdges.length === 0) {
+					throw 'No tile or edge of the board is its own image, a symmetric puzzle is impossible';
+				}
+				const { index, direction, neighbour } = getRandomElement(centerEdges, this.random);
+				tiles[index] += direction;
+				tiles[neighbour] += this.grid.OPPOSITE.get(direction) || 0;
+				visited.push(index, neighbour);
+				unvisited.delete(index);
+				unvisited.delete(neighbour);
+			}
+		}
+
 		if (visited.length === 0) {
 			/** @type {Number} */
-			const startIndex = [...unvisited][Math.floor(Math.random() * unvisited.size)];
+			const startIndex = [...unvisited][Math.floor(this.random() * unvisited.size)];
 
 			visited.push(startIndex);
 			unvisited.delete(startIndex);
 		}
 
+		/**
+		 * New values of tiles changed by a move and its images
+		 * Returns null if the images would connect some tile twice and make a loop.
+		 * @param {Number} fromNode
+		 * @param {Number} direction
+		 * @param {Number} neighbour
+		 * @returns {Map<Number, Number>|null} - tile index => new tile
+		 */
+		const moveChanges = (fromNode, direction, neighbour) => {
+			/** @type {Map<Number, Number>} */
+			const changes = new Map();
+			/**
+			 * @param {Number} index
+			 * @param {Number} connection
+			 */
+			const connect = (index, connection) => {
+				changes.set(index, (changes.get(index) ?? tiles[index]) + connection);
+			};
+			/** @type {Set<String>} */
+			const edges = new Set();
+			/** @type {Set<Number>} */
+			const reached = new Set();
+			for (let map of [null, ...symmetryMaps]) {
+				const from = map === null ? fromNode : map.tiles[fromNode];
+				const to = map === null ? neighbour : map.tiles[neighbour];
+				const imageDirection = map === null ? direction : map.directions[fromNode].get(direction);
+				if (imageDirection === undefined || unvisited.has(from) || !unvisited.has(to)) {
+					return null;
+				}
+				const key = `${from}_${imageDirection}`;
+				if (edges.has(key)) {
+					continue;
+				}
+				edges.add(key);
+				reached.add(to);
+				connect(from, imageDirection);
+				connect(to, this.grid.OPPOSITE.get(imageDirection) || 0);
+			}
+			return edges.size === reached.size ? changes : null;
+		};
+
+		/**
+		 * Change of the distance from the target distribution if a tile grows in some direction
+		 * @param {Map<Number, Number>} changes - new tiles of a move
+		 * @returns {Number}
+		 */
+		const moveError = (changes) => {
+			// new tiles are left out until the tree grows from them
+			const grown = [...changes].filter(([index]) => counted.has(index) || !unvisited.has(index));
+			const error = distributionError(grown.map(([index, tile]) => ({ index, tile })));
+			return error - distributionError(grown.map(([index]) => ({ index, tile: tiles[index] })));
+		};
+
+		/**
+		 * Change of the distance from the target distribution after the best move from a tile
+		 * Tiles that can not grow any more get -Infinity, so that they are cleared out
+		 * @param {Number} node
+		 * @returns {Number}
+		 */
+		const errorChange = (node) => {
+			let best = Number.NEGATIVE_INFINITY;
+			for (let direction of this.grid.polygon_at(node).directions) {
+				if ((direction & tiles[node]) > 0) {
+					continue;
+				}
+				const { neighbour, empty } = this.grid.find_neighbour(node, direction);
+				if (empty || !unvisited.has(neighbour)) {
+					continue;
+				}
+				const changes = moveChanges(node, direction, neighbour);
+				if (changes !== null) {
+					const error = moveError(changes);
+					best = best === Number.NEGATIVE_INFINITY ? error : Math.min(best, error);
+				}
+			}
+			return best;
+		};
+
 		while (unvisited.size > 0) {
+			if (visited.length + avoiding.length + lastResortNodes.length === 0) {
+				if (symmetryMaps.length > 0) {
+					throw 'Some tiles can not join a symmetric tree, a symmetric puzzle is impossible';
+				}
+				throw 'Error in pregeneration: some tiles can not be reached';
+			}
 			let fromNode = 0;
-			const usePrims = Math.random() < branchingAmount;
+			const usePrims = this.random() < branchingAmount;
 			for (let nodes of [visited, avoiding, lastResortNodes]) {
 				if (nodes.length === 0) {
 					continue;
 				}
-				if (usePrims) {
+				if (usePrims && targetShares.length > 0) {
+					// go from the random element that grows closest to the target distribution
+					let bestChange = Number.POSITIVE_INFINITY;
+					for (let i = 0; i < TARGET_CANDIDATES; i++) {
+						const node = getRandomElement(nodes, this.random);
+						const change = errorChange(node);
+						if (change < bestChange) {
+							bestChange = change;
+							fromNode = node;
+						}
+					}
+				} else if (usePrims) {
 					// go from a random element
-					fromNode = getRandomElement(nodes);
+					fromNode = getRandomElement(nodes, this.random);
 				} else {
 					// go from the last element
 					fromNode = nodes[nodes.length - 1];
@@ -250,9 +575,11 @@ export class Generator {
 			if (fromNode === undefined) {
 				throw 'Error in pregeneration: fromNode is undefined';
 			}
+			count(fromNode);
 			// tiers of possible moves
 			const unvisitedNeighbours = []; // these are the best options
 			const straightNeighbours = []; // this move results in a straight tile, might want to avoid
+			const offTargetNeighbours = []; // this move takes tiles away from the target distribution
 			const obviousNeighbours = []; // these should be avoided with avoidObvious setting
 			const fullyConnectedNeighbours = []; // making a fully connected tile is a total last resort
 			const connections = tiles[fromNode];
@@ -265,44 +592,59 @@ export class Generator {
 				if (empty || !unvisited.has(neighbour)) {
 					continue;
 				}
+				const changes = moveChanges(fromNode, direction, neighbour);
+				if (changes === null) {
+					continue;
+				}
+				const fromTile = changes.get(fromNode) || 0;
 				// classify this neighbour by priority
 				if (
-					polygon.tileTypes.get(connections + direction)?.isFullyConnected ||
-					(tiles[neighbour] > 0 &&
-						this.grid
-							.polygon_at(neighbour)
-							.tileTypes.get(tiles[neighbour] + (this.grid.OPPOSITE.get(direction) || 0))
-							?.isFullyConnected)
+					[...changes].some(
+						([index, tile]) => this.grid.polygon_at(index).tileTypes.get(tile)?.isFullyConnected
+					)
 				) {
-					fullyConnectedNeighbours.push({ neighbour, direction });
+					fullyConnectedNeighbours.push({ neighbour, direction, changes });
 					continue;
 				}
-				if (tileForbidden.has(fromNode) && Math.random() < avoidObvious) {
+				if (tileForbidden.has(fromNode) && this.random() < avoidObvious) {
 					const nogo = tileForbidden.get(fromNode);
-					if (nogo?.has(tiles[fromNode] + direction)) {
-						obviousNeighbours.push({ neighbour, direction });
+					if (nogo?.has(fromTile)) {
+						obviousNeighbours.push({ neighbour, direction, changes });
 						continue;
 					}
 				}
-				if (polygon.tileTypes.get(connections + direction)?.isStraight) {
-					if (Math.random() < avoidStraights) {
-						straightNeighbours.push({ neighbour, direction });
+				if (polygon.tileTypes.get(fromTile)?.isStraight) {
+					if (this.random() < avoidStraights) {
+						straightNeighbours.push({ neighbour, direction, changes });
 						continue;
 					}
 				}
-				unvisitedNeighbours.push({ neighbour, direction });
+				const error = targetShares.length > 0 ? moveError(changes) : 0;
+				if (error > 1e-9) {
+					// growing from this tile is off target, it is closer to the target as it is
+					offTargetNeighbours.push({ neighbour, direction, changes, error });
+					continue;
+				}
+				unvisitedNeighbours.push({ neighbour, direction, changes, error });
+			}
+			// moves that get less close to the target than others from this tile are off target too
+			const bestError = Math.min(...unvisitedNeighbours.map(({ error }) => error));
+			for (let move of unvisitedNeighbours.filter(({ error }) => error > bestError + 1e-9)) {
+				unvisitedNeighbours.splice(unvisitedNeighbours.indexOf(move), 1);
+				offTargetNeighbours.push(move);
 			}
 			let toVisit = null;
 			let source = null;
 			for (let options of [
 				unvisitedNeighbours,
 				straightNeighbours,
+				offTargetNeighbours,
 				obviousNeighbours,
 				fullyConnectedNeighbours
 			]) {
 				if (options.length > 0) {
 					source = options;
-					toVisit = getRandomElement(options);
+					toVisit = getRandomElement(options, this.random);
 					break;
 				}
 			}
@@ -327,8 +669,8 @@ export class Generator {
 					continue;
 				}
 			}
-			if (source === obviousNeighbours) {
-				// wants to become obvious, try to avoid using it
+			if (source === offTargetNeighbours || source === obviousNeighbours) {
+				// wants to become obvious or leave the target distribution, try to avoid using it
 				if (visited.length > 0) {
 					const index = visited.indexOf(fromNode);
 					visited.splice(index, 1);
@@ -336,7 +678,6 @@ export class Generator {
 					continue;
 				}
 			}
-			tiles[fromNode] += toVisit.direction;
 			if (tiles[toVisit.neighbour] > 0) {
 				// connected to a reused portion, visit it all
 				const component = startComponents.get(toVisit.neighbour);
@@ -346,28 +687,196 @@ export class Generator {
 					visited.push(i);
 				}
 			}
-			tiles[toVisit.neighbour] += this.grid.OPPOSITE.get(toVisit.direction) || 0;
-			unvisited.delete(toVisit.neighbour);
-			visited.push(toVisit.neighbour);
+			for (let [index, tile] of toVisit.changes) {
+				if (targetShares.length > 0 && (counted.has(index) || !unvisited.has(index))) {
+					placedCount += recount(classCounts, index, tile);
+					counted.add(index);
+				}
+				tiles[index] = tile;
+				if (unvisited.has(index)) {
+					unvisited.delete(index);
+					visited.push(index);
+				}
+			}
 		}
 		return tiles;
 	}
 
+	/**
+	 * Choose tiles to show in their solved orientation so that the puzzle has a unique solution
+	 * Reveals a random tile of every ambiguous area until none are left,
+	 * then hides the tiles that the other givens made unnecessary.
+	 * @param {Number[]} tiles - solved puzzle
+	 * @param {Number} attempt - for progress reports
+	 * @returns {Number[]} - indices of given tiles
+	 */
+	chooseGivens(tiles, attempt) {
+		const ambiguousLimit = Math.max(100, 0.1 * this.grid.total);
+		/** @type {Number[]} */
+		let givens = [];
+		let iteration = 0;
+		while (true) {
+			iteration += 1;
+			if (this.generator_progress_callback) {
+				this.generator_progress_callback({ attempt, iteration });
+			}
+			const solver = new Solver(tiles, this.grid, givens);
+			if (this.solver_progress_callback) {
+				solver.progress_callback = this.solver_progress_callback;
+			}
+			const { marked, solvable, unique } = solver.markAmbiguousTiles(ambiguousLimit);
+			if (!solvable) {
+				throw 'Error in choosing givens: the puzzle has no solution';
+			}
+			if (unique) {
+				break;
+			}
+			// reveal a random tile of every connected ambiguous area
+			const seen = new Set();
+			marked.forEach((orientation, index) => {
+				if (orientation !== solver.AMBIGUOUS || seen.has(index)) {
+					return;
+				}
+				const area = [index];
+				seen.add(index);
+				for (let i = 0; i < area.length; i++) {
+					for (let direction of this.grid.polygon_at(area[i]).directions) {
+						const { neighbour, empty } = this.grid.find_neighbour(area[i], direction);
+						if (!empty && !seen.has(neighbour) && marked[neighbour] === solver.AMBIGUOUS) {
+							seen.add(neighbour);
+							area.push(neighbour);
+						}
+					}
+				}
+				givens.push(getRandomElement(area, this.random));
+			});
+		}
+		// hide givens that the other givens make unnecessary
+		for (let given of [...givens]) {
+			const fewer = givens.filter((index) => index !== given);
+			if (new Solver(tiles, this.grid, fewer).markAmbiguousTiles(1).unique) {
+				givens = fewer;
+			}
+		}
+		return givens;
+	}
+
+	/**
+	 * Reveal more tiles than a unique solution needs, for beginner puzzles
+	 * Tiles that look the same in every orientation are never picked, showing them gives nothing away.
+	 * @param {Number[]} tiles - solved puzzle
+	 * @param {Number[]} givens - tiles that are already given
+	 * @param {Number} share - value in range [0, 1], share of the other tiles to reveal
+	 * @returns {Number[]} - indices of given tiles, including the old ones
+	 */
+	addExtraGivens(tiles, givens, share) {
+		const given = new Set(givens);
+		/** @type {Number[]} */
+		const candidates = [];
+		for (let index = 0; index < tiles.length; index++) {
+			const tile = tiles[index];
+			if (tile === 0 || given.has(index)) {
+				continue;
+			}
+			if (this.grid.polygon_at(index).rotate(tile, 1) !== tile) {
+				candidates.push(index);
+			}
+		}
+		const count = Math.round(share * candidates.length);
+		/** @type {Number[]} */
+		const extra = [];
+		while (extra.length < count) {
+			const i = Math.floor(this.random() * candidates.length);
+			extra.push(candidates[i]);
+			candidates[i] = candidates[candidates.length - 1];
+			candidates.pop();
+		}
+		return [...givens, ...extra];
+	}
+
 	/**
 	 * Generate a puzzle according to settings
 	 * @param {Number} branchingAmount - value in range [0, 1]
 	 * @param {Number} avoidObvious - value in range [0, 1], higher values lead to fewer obvious tiles along borders
 	 * @param {Number} avoidStraights - value in range [0, 1], higher values lead to fewer straight tiles
 	 * @param {SolutionsNumber} solutionsNumber - unique/multiple solutions or disable this check
+	 * @param {import('$lib/puzzle/solver').DifficultyBand} [difficulty] - only keep puzzles of this difficulty, works with unique solutions
+	 * @param {TileDistribution} [tileDistribution] - target shares of tile classes, see distributionReport for how close the puzzle got
+	 * @param {import('$lib/puzzle/grids/abstractgrid').Symmetry} [symmetry] - make the solution symmetric, the board must have this symmetry
+	 * @param {AmbiguityFix} [fixAmbiguity] - how to get a unique solution, see givens for tiles revealed by the givens strategy
+	 * @param {Number} [extraGivens] - value in range [0, 1], share of tiles to reveal on top of the ones a unique solution needs
 	 * @returns {Number[]} - generated tiles
 	 */
 	generate(
 		branchingAmount = 0.6,
 		avoidObvious = 0.0,
 		avoidStraights = 0.0,
-		solutionsNumber = 'unique'
+		solutionsNumber = 'unique',
+		difficulty = undefined,
+		tileDistribution = undefined,
+		symmetry = undefined,
+		fixAmbiguity = 'regrow',
+		extraGivens = 0
 	) {
-		if (solutionsNumber === 'unique') {
+		this.distributionReport = null;
+		this.givens = [];
+		if (fixAmbiguity !== 'regrow' && fixAmbiguity !== 'givens') {
+			throw 'Unknown setting for fixAmbiguity';
+		}
+		if (!(extraGivens >= 0 && extraGivens <= 1)) {
+			throw 'Share of extra givens must be in range [0, 1]';
+		}
+		if (tileDistribution !== undefined) {
+			validateTileDistribution(tileDistribution);
+		}
+		/** @type {import('$lib/puzzle/grids/abstractgrid').SymmetryMap[]} */
+		let symmetryMaps = [];
+		if (symmetry !== undefined) {
+			const maps = this.grid.getSymmetryMaps(symmetry);
+			if (maps === null) {
+				throw `This board does not have ${symmetry} symmetry, try another size or shape`;
+			}
+			symmetryMaps = maps;
+		}
+		/**
+		 * Reports the tile distribution and randomizes rotations of a finished puzzle
+		 * @param {Number[]} tiles
+		 * @param {Number[]} givens - these keep their solved orientation
+		 */
+		const finish = (tiles, givens) => {
+			this.givens = givens;
+			if (tileDistribution !== undefined) {
+				const actual = measureTileDistribution(tiles, this.grid);
+				this.distributionReport = {
+					target: tileDistribution,
+					actual,
+					distance: distributionDistance(actual, tileDistribution)
+				};
+			}
+			return randomRotate(tiles, this.grid, this.random, new Set(givens));
+		};
+		if (solutionsNumber === 'unique' && fixAmbiguity === 'givens') {
+			let attempt = 0;
+			while (attempt < this.max_attempts) {
+				attempt += 1;
+				const tiles = this.pregenerate_growingtree(
+					branchingAmount,
+					avoidObvious,
+					avoidStraights,
+					[],
+					tileDistribution,
+					symmetryMaps
+				);
+				const givens = this.addExtraGivens(tiles, this.chooseGivens(tiles, attempt), extraGivens);
+				if (
+					difficulty === undefined ||
+					new Solver(tiles, this.grid, givens).rateDifficulty().band === difficulty
+				) {
+					return finish(tiles, givens);
+				}
+			}
+			throw `Could not generate a unique ${difficulty} puzzle with givens in ${this.max_attempts} attempts. Maybe try again.`;
+		} else if (solutionsNumber === 'unique') {
 			/** @type {Number[]} */
 			let startTiles = [];
 			let attempt = 0;
@@ -378,7 +887,9 @@ export class Generator {
 					branchingAmount,
 					avoidObvious,
 					avoidStraights,
-					startTiles
+					startTiles,
+					tileDistribution,
+					symmetryMaps
 				);
 				let iteration = 0;
 				let patienceLeft = this.uniqueness_patience;
@@ -396,7 +907,16 @@ export class Generator {
 						Math.min(ambiguous, ambiguousLimit)
 					);
 					if (unique) {
-						return randomRotate(marked, this.grid);
+						const givens = this.addExtraGivens(marked, [], extraGivens);
+						if (
+							difficulty === undefined ||
+							new Solver(marked, this.grid, givens).rateDifficulty().band === difficulty
+						) {
+							return finish(marked, givens);
+						}
+						// the puzzle is fine, but not what was asked for
+						startTiles = [];
+						break;
 					}
 					if (ambiguous > ambiguousLimit && numAmbiguous >= ambiguousLimit) {
 						startTiles = marked;
@@ -414,14 +934,27 @@ export class Generator {
 						branchingAmount,
 						avoidObvious,
 						avoidStraights,
-						startTiles
+						startTiles,
+						tileDistribution,
+						symmetryMaps
 					);
 				}
 			}
+			if (difficulty !== undefined || symmetry !== undefined) {
+				const wanted = [difficulty, symmetry && `${symmetry} symmetric`].filter((x) => x).join(' ');
+				throw `Could not generate a unique ${wanted} puzzle in ${this.max_attempts} attempts. Maybe try again.`;
+			}
 			throw 'Could not generate a puzzle with a unique solution. Maybe try again.';
 		} else if (solutionsNumber === 'whatever') {
-			const tiles = this.pregenerate_growingtree(branchingAmount, avoidObvious, avoidStraights);
-			return randomRotate(tiles, this.grid);
+			const tiles = this.pregenerate_growingtree(
+				branchingAmount,
+				avoidObvious,
+				avoidStraights,
+				[],
+				tileDistribution,
+				symmetryMaps
+			);
+			return finish(tiles, this.addExtraGivens(tiles, [], extraGivens));
 		} else if (solutionsNumber === 'multiple') {
 			let attempt = 0;
 			while (attempt < this.max_attempts) {
@@ -429,14 +962,23 @@ export class Generator {
 				if (this.generator_progress_callback) {
 					this.generator_progress_callback({ attempt, iteration: 1 });
 				}
-				let tiles = this.pregenerate_growingtree(branchingAmount, avoidObvious, avoidStraights);
-				const solver = new Solver(tiles, this.grid);
+				let tiles = this.pregenerate_growingtree(
+					branchingAmount,
+					avoidObvious,
+					avoidStraights,
+					[],
+					tileDistribution,
+					symmetryMaps
+				);
+				// extra givens could leave only one solution
+				const givens = this.addExtraGivens(tiles, [], extraGivens);
+				const solver = new Solver(tiles, this.grid, givens);
 				if (this.solver_progress_callback) {
 					solver.progress_callback = this.solver_progress_callback;
 				}
 				const { unique } = solver.markAmbiguousTiles(1);
 				if (!unique) {
-					return randomRotate(tiles, this.grid);
+					return finish(tiles, givens);
 				}
 			}
 			throw `Could not generate a puzzle with multiple solutions in ${this.max_attempts} attempts. Maybe try again.`;
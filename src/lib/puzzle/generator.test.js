@@ -1,8 +1,13 @@
 import { describe, expect, it } from 'vitest';
-import { Generator } from './generator';
+import { Generator, measureTileDistribution } from './generator';
 import { HexaGrid } from './grids/hexagrid';
 import { SquareGrid } from './grids/squaregrid';
-import { Solver } from './solver';
+import { TriangularGrid } from './grids/triangulargrid';
+import { OctaGrid } from './grids/octagrid';
+import { CubeGrid } from './grids/cubegrid';
+import { randomGrid } from './grids/grids';
+import { seededRandom } from './random';
+import { Solver, difficultyBands } from './solver';
 
 describe('Test Prims pregeneration', () => {
 	const branchingAmount = 1;
@@ -174,3 +179,228 @@ describe('Test solution uniqueness', () => {
 		verifyUnique(grid);
 	});
 });
+
+describe('Test triangular grid generation', () => {
+	it('Generates a unique puzzle on an odd height wrap grid', () => {
+		const grid = new TriangularGrid(4, 5, true);
+		const gen = new Generator(grid);
+		gen.random = seededRandom(1);
+		const tiles = gen.generate(0.6, 0, 0, 'unique');
+		const solver = new Solver(tiles, grid);
+		const { solvable } = solver.markAmbiguousTiles();
+		expect(solvable).toBe(true);
+		expect(solver.unsolved.size).toBe(0);
+	});
+});
+
+describe('Test seeded generation', () => {
+	/**
+	 * @param {Number} seed
+	 * @param {import('./generator').SolutionsNumber} solutionsNumber
+	 */
+	function generateWithSeed(seed, solutionsNumber = 'unique') {
+		const grid = new HexaGrid(7, 7, true);
+		const gen = new Generator(grid);
+		gen.random = seededRandom(seed);
+		return gen.generate(0.6, 0.5, 0.5, solutionsNumber);
+	}
+
+	it('Generates the same puzzle from the same seed', () => {
+		expect(generateWithSeed(42)).toEqual(generateWithSeed(42));
+		expect(generateWithSeed(42, 'whatever')).toEqual(generateWithSeed(42, 'whatever'));
+	});
+
+	it('Generates different puzzles from different seeds', () => {
+		expect(generateWithSeed(42)).not.toEqual(generateWithSeed(43));
+	});
+
+	it('Creates the same random grid from the same seed', () => {
+		for (let seed = 0; seed < 10; seed++) {
+			const grid1 = randomGrid(seededRandom(seed));
+			const grid2 = randomGrid(seededRandom(seed));
+			expect(grid2.KIND).toBe(grid1.KIND);
+			expect(grid2.width).toBe(grid1.width);
+			expect(grid2.wrap).toBe(grid1.wrap);
+			expect([...grid2.emptyCells]).toEqual([...grid1.emptyCells]);
+		}
+	});
+});
+
+describe('Test difficulty targeting', () => {
+	it('Generates puzzles of the asked difficulty', () => {
+		for (let difficulty of difficultyBands) {
+			const grid = new HexaGrid(10, 10, true);
+			const gen = new Generator(grid);
+			gen.random = seededRandom(3);
+			const tiles = gen.generate(0.6, 0, 0, 'unique', difficulty);
+			expect(new Solver(tiles, grid).rateDifficulty().band).toBe(difficulty);
+		}
+	});
+});
+
+describe('Test tile distribution targeting', () => {
+	it('Generates puzzles without crosses', () => {
+		const grid = new HexaGrid(7, 7, false);
+		const gen = new Generator(grid);
+		gen.random = seededRandom(5);
+		const tiles = gen.generate(0.6, 0, 0, 'unique', undefined, { cross: 0 });
+		expect(measureTileDistribution(tiles, grid).cross).toBe(0);
+		expect(gen.distributionReport?.distance).toBe(0);
+	});
+
+	it('Gets closer to the target shares', () => {
+		const grid = new SquareGrid(10, 10, false);
+		const gen = new Generator(grid);
+		gen.random = seededRandom(5);
+		const plain = measureTileDistribution(gen.generate(0.6, 0, 0, 'whatever'), grid);
+		gen.generate(0.6, 0, 0, 'whatever', undefined, { bend: 0.6 });
+		const distance = gen.distributionReport?.distance || 1;
+		expect(distance).toBeLessThan(Math.abs((plain.bend || 0) - 0.6));
+	});
+
+	it('Makes more dead ends for a high target of them', () => {
+		/**
+		 * @param {import('./generator').TileDistribution} tileDistribution
+		 * @param {Boolean} wrap
+		 */
+		const deadends = (tileDistribution, wrap) => {
+			const grid = new HexaGrid(10, 10, wrap);
+			const gen = new Generator(grid);
+			gen.random = seededRandom(3);
+			const tiles = gen.generate(0.6, 0, 0, 'unique', undefined, tileDistribution);
+			return measureTileDistribution(tiles, grid).deadend || 0;
+		};
+		for (let wrap of [false, true]) {
+			const plain = deadends({}, wrap);
+			expect(deadends({ deadend: 0.5 }, wrap)).toBeGreaterThan(plain + 0.1);
+			expect(deadends({ deadend: 0.15 }, wrap)).toBeLessThan(plain);
+		}
+	});
+
+	it('Measures shares of all tile classes', () => {
+		const grid = new SquareGrid(3, 3, false);
+		const distribution = measureTileDistribution([2, 10, 8, 3, 15, 12, 2, 7, 8], grid);
+		expect(distribution).toEqual({
+			deadend: 4 / 9,
+			straight: 1 / 9,
+			bend: 2 / 9,
+			tjunction: 1 / 9,
+			cross: 1 / 9
+		});
+	});
+
+	it('Rejects invalid tile distributions', () => {
+		const gen = new Generator(new HexaGrid(5, 5, false));
+		expect(() => gen.generate(0.6, 0, 0, 'whatever', undefined, { cross: 2 })).toThrow();
+		expect(() =>
+			gen.generate(0.6, 0, 0, 'whatever', undefined, { deadend: 0.6, bend: 0.6 })
+		).toThrow();
+	});
+});
+
+describe('Test symmetric generation', () => {
+	/**
+	 * Checks that the solution is its own image under all maps of the symmetry
+	 * @param {import('./grids/abstractgrid').AbstractGrid} grid
+	 * @param {import('./grids/abstractgrid').Symmetry} symmetry
+	 */
+	function expectSymmetricSolution(grid, symmetry) {
+		const gen = new Generator(grid);
+		gen.random = seededRandom(7);
+		const tiles = gen.generate(0.6, 0, 0, 'unique', undefined, undefined, symmetry);
+		const { marked, unique } = new Solver(tiles, grid).markAmbiguousTiles();
+		expect(unique).toBe(true);
+		for (let map of grid.getSymmetryMaps(symmetry) || []) {
+			marked.forEach((tile, index) => {
+				if (tile === 0) {
+					return;
+				}
+				const image = grid
+					.getDirections(tile, 0, index)
+					.reduce((sum, direction) => sum + (map.directions[index].get(direction) || 0), 0);
+				expect(marked[map.tiles[index]]).toBe(image);
+			});
+		}
+	}
+
+	it('Generates a square puzzle with quarter turn symmetry', () => {
+		expectSymmetricSolution(new SquareGrid(7, 7, false), 'rotate4');
+	});
+
+	it('Generates a hexagonal puzzle with sixfold symmetry', () => {
+		const grid = new HexaGrid(7, 7, false);
+		grid.useShape('hexagon');
+		expectSymmetricSolution(grid, 'rotate6');
+	});
+
+	it('Generates a mirror symmetric octagonal puzzle', () => {
+		expectSymmetricSolution(new OctaGrid(5, 5, false), 'mirror');
+	});
+
+	it('Offers no symmetry on cube grids', () => {
+		for (let size = 4; size <= 7; size++) {
+			const grid = new CubeGrid(size, size, false);
+			expect(grid.SYMMETRIES).toEqual([]);
+			for (let symmetry of /** @type {const} */ (['rotate3', 'mirror'])) {
+				expect(grid.getSymmetryMaps(symmetry)).toBe(null);
+				const gen = new Generator(grid);
+				expect(() => gen.generate(0.6, 0, 0, 'unique', undefined, undefined, symmetry)).toThrow(
+					'does not have'
+				);
+			}
+		}
+	});
+
+	it('Fails when no tile or edge is left in place', () => {
+		const gen = new Generator(new SquareGrid(6, 6, false));
+		expect(() => gen.generate(0.6, 0, 0, 'unique', undefined, undefined, 'rotate4')).toThrow();
+	});
+});
+
+describe('Test givens', () => {
+	it('Makes a puzzle unique with a minimal set of given tiles', () => {
+		const grid = new SquareGrid(8, 8, true);
+		const gen = new Generator(grid);
+		gen.random = seededRandom(2);
+		const tiles = gen.generate(0.9, 0, 0, 'unique', undefined, undefined, undefined, 'givens');
+		expect(gen.givens.length).toBeGreaterThan(0);
+		expect(new Solver(tiles, grid).markAmbiguousTiles().unique).toBe(false);
+		const { marked, unique } = new Solver(tiles, grid, gen.givens).markAmbiguousTiles();
+		expect(unique).toBe(true);
+		for (let given of gen.givens) {
+			// given tiles are not rotated
+			expect(tiles[given]).toBe(marked[given]);
+			const fewer = gen.givens.filter((index) => index !== given);
+			expect(new Solver(tiles, grid, fewer).markAmbiguousTiles().unique).toBe(false);
+		}
+	});
+
+	it('Has no givens when regrowing ambiguous areas', () => {
+		const gen = new Generator(new HexaGrid(5, 5, false));
+		gen.random = seededRandom(2);
+		gen.generate(0.6, 0, 0, 'unique');
+		expect(gen.givens).toEqual([]);
+	});
+
+	it('Reveals extra tiles that can be rotated', () => {
+		const grid = new HexaGrid(6, 6, false);
+		const gen = new Generator(grid);
+		gen.random = seededRandom(3);
+		const tiles = gen.generate(0.6, 0, 0, 'unique', undefined, undefined, undefined, 'regrow', 0.5);
+		const rotatable = tiles.filter((tile) => grid.polygon_at(0).rotate(tile, 1) !== tile);
+		expect(gen.givens.length).toBe(Math.round(0.5 * rotatable.length));
+		expect(new Set(gen.givens).size).toBe(gen.givens.length);
+		const { marked } = new Solver(tiles, grid).markAmbiguousTiles();
+		for (let given of gen.givens) {
+			expect(tiles[given]).toBe(marked[given]);
+			expect(grid.polygon_at(0).rotate(tiles[given], 1)).not.toBe(tiles[given]);
+		}
+	});
+
+	it('Rejects a bad share of extra givens', () => {
+		const gen = new Generator(new HexaGrid(3, 3, false));
+		expect(() =>
+			gen.generate(0.6, 0, 0, 'whatever', undefined, undefined, undefined, 'regrow', 2)
+		).toThrow();
+	});
+});
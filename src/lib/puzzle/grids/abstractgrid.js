@@ -1,3 +1,15 @@
+/**
+ * @typedef {'rotate2'|'rotate3'|'rotate4'|'rotate6'|'mirror'} Symmetry
+ * Rotation about the center of the board by a fraction of a full turn,
+ * or reflection across the line through the center at grid's MIRROR_ANGLE
+ */
+
+/**
+ * @typedef {Object} SymmetryMap
+ * @property {Number[]} tiles - index of the image of each tile, -1 for empty cells
+ * @property {Map<Number, Number>[]} directions - for each tile, direction to a neighbour => direction between their images
+ */
+
 export class AbstractGrid {
 	/** @type {Number[]} */
 	DIRECTIONS = [];
@@ -15,6 +27,10 @@ export class AbstractGrid {
 	BEND_EDGEMARKS = false;
 	/** @type {"inherit" | "round" | "bevel" | "miter"}	 */
 	LINE_JOIN = 'round';
+	/** @type {Symmetry[]} - symmetries the grid can have, depending on its size and shape */
+	SYMMETRIES = [];
+	/** @type {Number} - angle of the line of mirror symmetry, vertical by default */
+	MIRROR_ANGLE = Math.PI / 2;
 
 	/** @type {Set<Number>} - indices of empty cells */
 	emptyCells;
@@ -34,6 +50,12 @@ export class AbstractGrid {
 	YMIN;
 	/** @type {Number} - Y coordinate upper limit */
 	YMAX;
+	/** @type {Map<Number, {x: Number, y: Number}>|null} - positions of tiles on the board itself */
+	homePositions = null;
+	/** @type {Number|undefined} - seed of grids with randomly placed cells */
+	seed = undefined;
+	/** @type {import('$lib/puzzle/grids/graphgrid').GraphDescription|undefined} - cells of graph grids */
+	graph = undefined;
 
 	/**
 	 *
@@ -91,6 +113,37 @@ export class AbstractGrid {
 		this.emptyCells.add(index);
 	}
 
+	/**
+	 * Checks that all non-empty cells form a single connected region
+	 * A puzzle can only be generated on a connected board
+	 * @returns {Boolean}
+	 */
+	isConnected() {
+		let start = -1;
+		for (let i = 0; i < this.total; i++) {
+			if (!this.emptyCells.has(i)) {
+				start = i;
+				break;
+			}
+		}
+		if (start === -1) {
+			return false;
+		}
+		const visited = new Set([start]);
+		const toVisit = [start];
+		while (toVisit.length > 0) {
+			const index = toVisit.pop() || 0;
+			for (let direction of this.polygon_at(index).directions) {
+				const { neighbour, empty } = this.find_neighbour(index, direction);
+				if (!empty && !visited.has(neighbour)) {
+					visited.add(neighbour);
+					toVisit.push(neighbour);
+				}
+			}
+		}
+		return visited.size === this.total - this.emptyCells.size;
+	}
+
 	/**
 	 * Return polygon at index
 	 * @param {Number} index
@@ -122,6 +175,17 @@ export class AbstractGrid {
 		return this.polygon_at(index).get_angle(rotations);
 	}
 
+	/**
+	 * Tile to draw the pipes for, they are then turned by getAngle
+	 * @param {Number} tile
+	 * @param {Number} rotations
+	 * @param {Number} index
+	 * @returns {Number}
+	 */
+	getDrawnTile(tile, rotations, index) {
+		return tile;
+	}
+
 	/**
 	 * Get CSS transform string for this tile
 	 * @param {Number} index
@@ -150,6 +214,155 @@ export class AbstractGrid {
 		throw 'Implement getVisibleTiles(box) method';
 	}
 
+	/**
+	 * Tells if a visible tile is a copy drawn across a wrap seam
+	 * The tile on the board itself is its copy closest to the center of the initial view.
+	 * @param {import('$lib/puzzle/viewbox').VisibleTile} visibleTile
+	 * @returns {Boolean}
+	 */
+	isWrapCopy(visibleTile) {
+		if (!this.wrap) {
+			return false;
+		}
+		if (this.homePositions === null) {
+			this.homePositions = new Map();
+			const cx = (this.XMIN + this.XMAX) / 2;
+			const cy = (this.YMIN + this.YMAX) / 2;
+			const box = {
+				xmin: this.XMIN,
+				ymin: this.YMIN,
+				width: this.XMAX - this.XMIN,
+				height: this.YMAX - this.YMIN
+			};
+			for (let { index, x, y } of this.getVisibleTiles(box)) {
+				const home = this.homePositions.get(index);
+				if (
+					home === undefined ||
+					(x - cx) ** 2 + (y - cy) ** 2 < (home.x - cx) ** 2 + (home.y - cy) ** 2
+				) {
+					this.homePositions.set(index, { x, y });
+				}
+			}
+		}
+		const home = this.homePositions.get(visibleTile.index);
+		if (home === undefined) {
+			return false;
+		}
+		return Math.abs(home.x - visibleTile.x) > 1e-6 || Math.abs(home.y - visibleTile.y) > 1e-6;
+	}
+
+	/**
+	 * Maps of all transformations of a symmetry except identity
+	 * Returns null if the board does not have this symmetry,
+	 * like a grid without a tile in the center or a wrap grid.
+	 * @param {Symmetry} symmetry
+	 * @returns {SymmetryMap[]|null}
+	 */
+	getSymmetryMaps(symmetry) {
+		if (this.wrap || !this.SYMMETRIES.includes(symmetry)) {
+			return null;
+		}
+		const tiles = this.getVisibleTiles({
+			xmin: this.XMIN,
+			ymin: this.YMIN,
+			width: this.XMAX - this.XMIN,
+			height: this.YMAX - this.YMIN
+		});
+		if (tiles.length === 0) {
+			return null;
+		}
+		const cx = tiles.reduce((sum, { x }) => sum + x, 0) / tiles.length;
+		const cy = tiles.reduce((sum, { y }) => sum + y, 0) / tiles.length;
+		/** @type {Map<String, Number[]>} - rounded position => tiles near it */
+		const buckets = new Map();
+		tiles.forEach(({ x, y }, i) => {
+			const key = `${Math.round(x * 10)}_${Math.round(y * 10)}`;
+			buckets.set(key, [...(buckets.get(key) || []), i]);
+		});
+		/**
+		 * Tile with the center at x, y, or -1 if there is none
+		 * @param {Number} x
+		 * @param {Number} y
+		 */
+		const tileAt = (x, y) => {
+			const bx = Math.round(x * 10);
+			const by = Math.round(y * 10);
+			for (let dx = -1; dx <= 1; dx++) {
+				for (let dy = -1; dy <= 1; dy++) {
+					const key = `${bx + dx}_${by + dy}`;
+					for (let i of buckets.get(key) || []) {
+						if (Math.abs(tiles[i].x - x) < 0.01 && Math.abs(tiles[i].y - y) < 0.01) {
+							return tiles[i].index;
+						}
+					}
+				}
+			}
+			return -1;
+		};
+
+		/** @type {((x: Number, y: Number) => Number[])[]} */
+		const transforms = [];
+		if (symmetry === 'mirror') {
+			const cos = Math.cos(2 * this.MIRROR_ANGLE);
+			const sin = Math.sin(2 * this.MIRROR_ANGLE);
+			transforms.push((x, y) => [
+				cx + (x - cx) * cos + (y - cy) * sin,
+				cy + (x - cx) * sin - (y - cy) * cos
+			]);
+		} else {
+			const fold = Number(symmetry.slice('rotate'.length));
+			for (let k = 1; k < fold; k++) {
+				const angle = (2 * Math.PI * k) / fold;
+				const cos = Math.cos(angle);
+				const sin = Math.sin(angle);
+				transforms.push((x, y) => [
+					cx + (x - cx) * cos - (y - cy) * sin,
+					cy + (x - cx) * sin + (y - cy) * cos
+				]);
+			}
+		}
+
+		/** @type {SymmetryMap[]} */
+		const maps = [];
+		for (let transform of transforms) {
+			const images = Array(this.total).fill(-1);
+			for (let { index, x, y } of tiles) {
+				const [imageX, imageY] = transform(x, y);
+				const image = tileAt(imageX, imageY);
+				if (image === -1) {
+					return null;
+				}
+				images[index] = image;
+			}
+			/** @type {Map<Number, Number>[]} */
+			const directions = [];
+			for (let index = 0; index < this.total; index++) {
+				const imageDirections = new Map();
+				directions.push(imageDirections);
+				if (images[index] === -1) {
+					continue;
+				}
+				const imagePolygon = this.polygon_at(images[index]);
+				for (let direction of this.polygon_at(index).directions) {
+					const { neighbour, empty } = this.find_neighbour(index, direction);
+					if (empty) {
+						continue;
+					}
+					const imageDirection = imagePolygon.directions.find((d) => {
+						const found = this.find_neighbour(images[index], d);
+						return !found.empty && found.neighbour === images[neighbour];
+					});
+					if (imageDirection === undefined) {
+						return null;
+					}
+					imageDirections.set(direction, imageDirection);
+				}
+			}
+			maps.push({ tiles: images, directions });
+		}
+		return maps;
+	}
+
 	/**
 	 * Tile contour path for svg drawing
 	 * @param {Number} index
@@ -102,6 +102,12 @@ export class CubeGrid extends AbstractGrid {
 	]);
 	NUM_DIRECTIONS = 4;
 	KIND = 'cube';
+	// no symmetries for puzzles even though the board has some:
+	// third of a turn is around a vertex, and a symmetric tree needs a tile or an edge in the center;
+	// tiles on the mirror axis stop touching each other on larger boards,
+	// and a symmetric tree needs a path between them along the axis
+	/** @type {import('$lib/puzzle/grids/abstractgrid').Symmetry[]} */
+	SYMMETRIES = [];
 	PIPE_WIDTH = 0.15 * SCALE;
 	STROKE_WIDTH = 0.06 * SCALE;
 	SINK_RADIUS = 0.2 * SCALE;
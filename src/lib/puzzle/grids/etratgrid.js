@@ -1,6 +1,7 @@
 import { RegularPolygonTile } from '$lib/puzzle/grids/polygonutils';
 import { AbstractGrid } from '$lib/puzzle/grids/abstractgrid';
 import { HexaGrid } from './hexagrid';
+import { isInShape, relativePositions } from '$lib/puzzle/grids/shapes';
 
 const EAST = 1;
 const NORTH = 2;
@@ -223,4 +224,63 @@ export class EtratGrid extends AbstractGrid {
 		}
 		return visibleTiles;
 	}
+
+	/**
+	 * Shape the playing field by making some tiles empty
+	 * Each square is cut out together with the triangles above and below it
+	 * @param {import('$lib/puzzle/grids/shapes').RectangularShape} shape
+	 */
+	useShape(shape) {
+		const numHexagons = this.width * this.hexHeight;
+		if (shape === 'half-wrap-horizontal') {
+			// top triangles are the only links between the first and the last rows
+			for (let i = 0; i < this.width; i++) {
+				this.makeEmpty(i * 3);
+			}
+			this.YMIN = -YSTEP * 0.5;
+			this.YMAX = YSTEP * this.hexHeight;
+		} else if (shape === 'half-wrap-vertical') {
+			for (let r = 0; r < this.hexHeight; r++) {
+				for (let unit = 0; unit < 3; unit++) {
+					this.makeEmpty(this.width * r * 3 + unit);
+				}
+			}
+			this.XMIN = 0.4;
+			this.XMAX = this.width + 0.1;
+		} else {
+			/** @type {Set<Number>} */
+			const emptyCells = new Set(this.emptyCells);
+			const hexagons = [...Array(numHexagons).keys()].filter(
+				(i) => !this.emptyCells.has(i * 3 + 1)
+			);
+			const points = hexagons.map((i) => {
+				const c = i % this.width;
+				const r = (i - c) / this.width;
+				return { x: c + (r % 2 === 0 ? 0 : 0.5), y: r * YSTEP };
+			});
+			relativePositions(points, 1, YSTEP).forEach(({ u, v }, i) => {
+				if (!isInShape(shape, u, v)) {
+					for (let unit = 0; unit < 3; unit++) {
+						this.makeEmpty(hexagons[i] * 3 + unit);
+					}
+				}
+			});
+			// triangles of the bottom row of even height boards have no square of their own
+			for (let i = 0; i < numHexagons; i++) {
+				const index = i * 3;
+				if (
+					this.emptyCells.has(index + 1) &&
+					!this.emptyCells.has(index) &&
+					this.polygon_at(index).directions.every((d) => this.find_neighbour(index, d).empty)
+				) {
+					this.makeEmpty(index);
+				}
+			}
+			if (shape === 'donut' && !this.isConnected()) {
+				// the ring falls apart on small boards, keep the whole diamond then
+				this.emptyCells = emptyCells;
+				this.useShape('diamond');
+			}
+		}
+	}
 }
@@ -53,3 +53,53 @@ describe('Test rotate triangular tile', () => {
 		}
 	});
 });
+
+describe('Test board shapes', () => {
+	it('Diamond', () => {
+		const grid = new EtratGrid(7, 7, false);
+		grid.useShape('diamond');
+		// square of a cut out cell is empty together with its triangles
+		expect([...grid.emptyCells]).toEqual(expect.arrayContaining([1, 2, 39, 40, 41]));
+		expect(grid.emptyCells.has(10)).toBe(false);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Cross', () => {
+		const grid = new EtratGrid(7, 7, false);
+		grid.useShape('cross');
+		expect([...grid.emptyCells]).toEqual(expect.arrayContaining([1, 2, 4, 5]));
+		expect(grid.emptyCells.has(7)).toBe(false);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Hole', () => {
+		const grid = new EtratGrid(7, 7, false);
+		grid.useShape('hole');
+		expect([...grid.emptyCells]).toEqual(expect.arrayContaining([27, 28, 29, 30, 31, 32, 52, 55]));
+		expect(grid.emptyCells.has(34)).toBe(false);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Donut', () => {
+		const grid = new EtratGrid(7, 7, false);
+		grid.useShape('donut');
+		expect([...grid.emptyCells]).toEqual(expect.arrayContaining([1, 31, 52]));
+		expect(grid.emptyCells.has(28)).toBe(false);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Half wrap horizontal', () => {
+		const grid = new EtratGrid(4, 4, true);
+		grid.useShape('half-wrap-horizontal');
+		expect([...grid.emptyCells].sort((a, b) => a - b)).toEqual([0, 3, 6, 9]);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Half wrap vertical', () => {
+		const grid = new EtratGrid(4, 4, true);
+		grid.useShape('half-wrap-vertical');
+		expect([...grid.emptyCells].sort((a, b) => a - b)).toEqual([0, 1, 2, 12, 13, 14, 24, 25, 26]);
+		expect(grid.XMIN).toBeCloseTo(0.4);
+		expect(grid.isConnected()).toBe(true);
+	});
+});
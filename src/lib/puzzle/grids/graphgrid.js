@@ -0,0 +1,424 @@
+import { GraphPolygonTile } from '$lib/puzzle/grids/polygonutils';
+import { AbstractGrid } from '$lib/puzzle/grids/abstractgrid';
+
+/** Share links keep a tile in one byte and its rotations in three bits */
+export const MAX_EDGES = 8;
+/** Size of spatial index buckets */
+const BUCKET = 1;
+
+/**
+ * @typedef {Object} GraphCell
+ * @property {Number[][]} vertices - [x, y] of polygon corners, y goes down like on screen
+ * @property {(Number[]|null)[]} neighbours - for the edge from each vertex to the next one:
+ * [neighbour cell, edge of the neighbour cell] or null on the border of the board
+ * @property {Number[]} [center] - [x, y] where the pipes meet, centroid of the polygon by default
+ */
+
+/**
+ * Description of a planar tiling, cells should be about one unit across like in other grids
+ * @typedef {Object} GraphDescription
+ * @property {GraphCell[]} cells
+ */
+
+/**
+ * @param {any} point
+ * @returns {Boolean}
+ */
+function isPoint(point) {
+	return Array.isArray(point) && point.length === 2 && point.every((x) => Number.isFinite(x));
+}
+
+/**
+ * Check that a graph description can be used to make a grid
+ * @param {any} graph
+ * @throws {String} if the description is invalid
+ */
+export function validateGraph(graph) {
+	if (graph === null || typeof graph !== 'object' || !Array.isArray(graph.cells)) {
+		throw 'Graph description must have a list of cells';
+	}
+	/** @type {any[]} */
+	const cells = graph.cells;
+	if (cells.length === 0) {
+		throw 'Graph has no cells';
+	}
+	cells.forEach((cell, i) => {
+		if (cell === null || typeof cell !== 'object' || !Array.isArray(cell.vertices)) {
+			throw `Cell ${i} has no vertices`;
+		}
+		const n = cell.vertices.length;
+		if (n < 3) {
+			throw `Cell ${i} needs at least 3 vertices`;
+		}
+		if (n > MAX_EDGES) {
+			throw `Cell ${i} has ${n} edges, at most ${MAX_EDGES} are supported`;
+		}
+		cell.vertices.forEach((/** @type {any} */ vertex, /** @type {Number} */ j) => {
+			if (!isPoint(vertex)) {
+				throw `Bad vertex ${j} of cell ${i}: ${JSON.stringify(vertex)}`;
+			}
+		});
+		if (cell.center !== undefined && !isPoint(cell.center)) {
+			throw `Bad center of cell ${i}: ${JSON.stringify(cell.center)}`;
+		}
+		if (!Array.isArray(cell.neighbours) || cell.neighbours.length !== n) {
+			throw `Cell ${i} must have a neighbour entry for each of its ${n} edges`;
+		}
+	});
+	cells.forEach((cell, i) => {
+		cell.neighbours.forEach((/** @type {any} */ entry, /** @type {Number} */ j) => {
+			if (entry === null) {
+				return;
+			}
+			const [b, k] = Array.isArray(entry) ? entry : [];
+			if (
+				!Number.isInteger(b) ||
+				!Number.isInteger(k) ||
+				b < 0 ||
+				b >= cells.length ||
+				b === i ||
+				k < 0 ||
+				k >= cells[b].neighbours.length
+			) {
+				throw `Bad neighbour of cell ${i} at edge ${j}: ${JSON.stringify(entry)}`;
+			}
+			const back = cells[b].neighbours[k];
+			if (!Array.isArray(back) || back[0] !== i || back[1] !== j) {
+				throw `Edge ${j} of cell ${i} leads to edge ${k} of cell ${b} that does not lead back`;
+			}
+		});
+	});
+}
+
+/**
+ * Center of mass of a polygon
+ * @param {Number[][]} vertices
+ * @returns {Number[]}
+ */
+export function centroid(vertices) {
+	let area = 0;
+	let cx = 0;
+	let cy = 0;
+	vertices.forEach(([x1, y1], i) => {
+		const [x2, y2] = vertices[(i + 1) % vertices.length];
+		const cross = x1 * y2 - x2 * y1;
+		area += cross / 2;
+		cx += ((x1 + x2) * cross) / 6;
+		cy += ((y1 + y2) * cross) / 6;
+	});
+	if (Math.abs(area) < 1e-9) {
+		// degenerate polygon, average of the vertices is as good as anything
+		return [0, 1].map((k) => vertices.reduce((sum, v) => sum + v[k], 0) / vertices.length);
+	}
+	return [cx / area, cy / area];
+}
+
+/**
+ * Pick a direction for both sides of every edge
+ * Edges are first oriented so that every cell has as many outgoing edges as incoming ones,
+ * give or take one. Then outgoing edges of a cell get different colors and so do incoming
+ * ones, which takes no more colors than half of the largest cell's edges.
+ * The outgoing side of an edge with color c is labeled 2^c and the incoming one 2^(c + colors).
+ * Border edges lead to a dummy cell of their own.
+ * @param {GraphCell[]} cells
+ * @returns {{labels: Number[][], colors: Number}} - labels of every cell's edges, number of colors
+ */
+function labelEdges(cells) {
+	/** @type {{ends: Number[], sides: (Number[]|null)[], from: Number, color: Number}[]} */
+	const edges = [];
+	/** @type {Number[][]} - edges touching each node, cells first and dummy nodes after them */
+	const incident = cells.map(() => []);
+	cells.forEach((cell, i) => {
+		cell.neighbours.forEach((entry, j) => {
+			if (entry === null) {
+				const dummy = incident.length;
+				incident.push([edges.length]);
+				incident[i].push(edges.length);
+				edges.push({ ends: [i, dummy], sides: [[i, j], null], from: -1, color: -1 });
+			} else if (entry[0] > i || (entry[0] === i && entry[1] > j)) {
+				incident[i].push(edges.length);
+				incident[entry[0]].push(edges.length);
+				edges.push({ ends: [i, entry[0]], sides: [[i, j], entry], from: -1, color: -1 });
+			}
+		});
+	});
+
+	/** @param {Number} node */
+	const unoriented = (node) => incident[node].filter((e) => edges[e].from === -1);
+	/**
+	 * Orient edges along a walk until it gets stuck
+	 * @param {Number} node
+	 */
+	const walk = (node) => {
+		let next = unoriented(node)[0];
+		while (next !== undefined) {
+			const edge = edges[next];
+			edge.from = node;
+			node = edge.ends[0] === node ? edge.ends[1] : edge.ends[0];
+			next = unoriented(node)[0];
+		}
+	};
+	// walks from nodes with odd numbers of edges end at other such nodes, then the rest are loops
+	incident.forEach((_, node) => {
+		while (unoriented(node).length % 2 === 1) {
+			walk(node);
+		}
+	});
+	incident.forEach((_, node) => walk(node));
+
+	const colors = Math.ceil(Math.max(...cells.map((cell) => cell.neighbours.length)) / 2);
+	/** @type {Map<Number, Number>[]} - color => edge for outgoing edges of each node */
+	const outgoing = incident.map(() => new Map());
+	/** @type {Map<Number, Number>[]} - color => edge for incoming edges of each node */
+	const incoming = incident.map(() => new Map());
+	/** @param {Number} e */
+	const to = (e) => (edges[e].ends[0] === edges[e].from ? edges[e].ends[1] : edges[e].ends[0]);
+	/**
+	 * @param {Number} e
+	 * @param {Number} color
+	 */
+	const paint = (e, color) => {
+		edges[e].color = color;
+		outgoing[edges[e].from].set(color, e);
+		incoming[to(e)].set(color, e);
+	};
+	/**
+	 * @param {Map<Number, Number>} used
+	 * @returns {Number}
+	 */
+	const freeColor = (used) => [...Array(colors).keys()].find((c) => !used.has(c)) || 0;
+	edges.forEach((edge, e) => {
+		const a = freeColor(outgoing[edge.from]);
+		const b = freeColor(incoming[to(e)]);
+		if (incoming[to(e)].has(a)) {
+			// swap colors a and b along the path of a and b colored edges, then a is free
+			const path = [];
+			let node = to(e);
+			let isIncoming = true;
+			let color = a;
+			let next = incoming[node].get(color);
+			while (next !== undefined) {
+				path.push(next);
+				node = isIncoming ? edges[next].from : to(next);
+				isIncoming = !isIncoming;
+				color = color === a ? b : a;
+				next = (isIncoming ? incoming : outgoing)[node].get(color);
+			}
+			for (let p of path) {
+				outgoing[edges[p].from].delete(edges[p].color);
+				incoming[to(p)].delete(edges[p].color);
+			}
+			for (let p of path) {
+				paint(p, edges[p].color === a ? b : a);
+			}
+		}
+		paint(e, a);
+	});
+
+	const labels = cells.map((cell) => cell.neighbours.map(() => 0));
+	for (let edge of edges) {
+		edge.sides.forEach((side, k) => {
+			if (side === null) {
+				return;
+			}
+			const isOutgoing = edge.ends[k] === edge.from;
+			labels[side[0]][side[1]] = 2 ** (edge.color + (isOutgoing ? 0 : colors));
+		});
+	}
+	return { labels, colors };
+}
+
+/**
+ * Grid of any planar tiling, defined by a description of its cells
+ * Cells may have from 3 to 8 edges.
+ * @extends AbstractGrid
+ */
+export class GraphGrid extends AbstractGrid {
+	KIND = 'graph';
+	PIPE_WIDTH = 0.15;
+	STROKE_WIDTH = 0.06;
+	SINK_RADIUS = 0.2;
+
+	/**
+	 *
+	 * @param {GraphDescription} graph
+	 * @param {Number[]} tiles
+	 */
+	constructor(graph, tiles = []) {
+		validateGraph(graph);
+		const points = graph.cells.flatMap((cell) => cell.vertices);
+		const xs = points.map(([x]) => x);
+		const ys = points.map(([, y]) => y);
+		const width = Math.ceil(Math.max(...xs) - Math.min(...xs));
+		const height = Math.ceil(Math.max(...ys) - Math.min(...ys));
+		super(width, height, false, tiles);
+		this.graph = graph;
+		this.total = graph.cells.length;
+		this.XMIN = Math.min(...xs) - 0.1;
+		this.XMAX = Math.max(...xs) + 0.1;
+		this.YMIN = Math.min(...ys) - 0.1;
+		this.YMAX = Math.max(...ys) + 0.1;
+
+		const { labels, colors } = labelEdges(graph.cells);
+		const plus = [...Array(colors).keys()].map((c) => 2 ** c);
+		const minus = plus.map((direction) => direction * 2 ** colors);
+		this.DIRECTIONS = [...plus, ...minus];
+		this.EDGEMARK_DIRECTIONS = plus;
+		this.OPPOSITE = new Map();
+		plus.forEach((direction, c) => {
+			this.OPPOSITE.set(direction, minus[c]);
+			this.OPPOSITE.set(minus[c], direction);
+		});
+		this.NUM_DIRECTIONS = Math.max(...graph.cells.map((cell) => cell.vertices.length));
+
+		/** @type {{x: Number, y: Number}[]} */
+		this.centers = [];
+		/** @type {GraphPolygonTile[]} */
+		this.polygons = [];
+		/** @type {Map<Number, Number>[]} - direction => neighbour index for each cell */
+		this.neighbours = [];
+		graph.cells.forEach((cell, index) => {
+			const [cx, cy] = cell.center || centroid(cell.vertices);
+			let vertices = cell.vertices.map(([x, y]) => [x - cx, y - cy]);
+			let edgeIndices = vertices.map((_, j) => j);
+			// polygons go counterclockwise on screen, so that rotating a tile turns it clockwise
+			const area = vertices.reduce((sum, [x1, y1], j) => {
+				const [x2, y2] = vertices[(j + 1) % vertices.length];
+				return sum + x1 * y2 - x2 * y1;
+			}, 0);
+			if (area > 0) {
+				const n = vertices.length;
+				vertices = vertices.reverse();
+				edgeIndices = edgeIndices.map((j) => (2 * n - 2 - j) % n);
+			}
+			const directions = edgeIndices.map((j) => labels[index][j]);
+			this.centers.push({ x: cx, y: cy });
+			this.polygons.push(new GraphPolygonTile(vertices, directions));
+			this.neighbours.push(
+				new Map(
+					cell.neighbours.flatMap((entry, j) =>
+						entry === null ? [] : [[labels[index][j], entry[0]]]
+					)
+				)
+			);
+		});
+
+		// spatial index: bucket => cells overlapping it
+		/** @type {Map<String, Number[]>} */
+		this.buckets = new Map();
+		graph.cells.forEach(({ vertices }, index) => {
+			const cellXs = vertices.map(([x]) => x);
+			const cellYs = vertices.map(([, y]) => y);
+			const bxmax = Math.floor(Math.max(...cellXs) / BUCKET);
+			const bymax = Math.floor(Math.max(...cellYs) / BUCKET);
+			for (let bx = Math.floor(Math.min(...cellXs) / BUCKET); bx <= bxmax; bx++) {
+				for (let by = Math.floor(Math.min(...cellYs) / BUCKET); by <= bymax; by++) {
+					const key = `${bx}_${by}`;
+					this.buckets.set(key, [...(this.buckets.get(key) || []), index]);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Determines which tile a point at (x, y) belongs to
+	 * Returns tile index and tile center coordinates
+	 * If the point is over empty space then tileIndex is -1
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @returns {{index: Number, x:Number, y: Number}}
+	 */
+	which_tile_at(x, y) {
+		const key = `${Math.floor(x / BUCKET)}_${Math.floor(y / BUCKET)}`;
+		for (let index of this.buckets.get(key) || []) {
+			const vertices = this.graph.cells[index].vertices;
+			// count crossings of a ray going right from the point
+			let inside = false;
+			vertices.forEach(([x1, y1], j) => {
+				const [x2, y2] = vertices[(j + 1) % vertices.length];
+				if (y1 > y !== y2 > y && x < x1 + ((y - y1) * (x2 - x1)) / (y2 - y1)) {
+					inside = !inside;
+				}
+			});
+			if (inside) {
+				const center = this.centers[index];
+				return {
+					index: this.emptyCells.has(index) ? -1 : index,
+					x: center.x,
+					y: center.y
+				};
+			}
+		}
+		return { index: -1, x, y };
+	}
+
+	/**
+	 * @param {Number} index
+	 * @param {Number} direction
+	 * @returns {{neighbour: Number, empty: boolean}} - neighbour index, is the neighbour an empty cell or outside the board
+	 */
+	find_neighbour(index, direction) {
+		const neighbour = this.neighbours[index].get(direction);
+		if (neighbour === undefined) {
+			return { neighbour: -1, empty: true };
+		}
+		return { neighbour, empty: this.emptyCells.has(neighbour) };
+	}
+
+	/**
+	 * @param {Number} index
+	 * @returns {GraphPolygonTile}
+	 */
+	polygon_at(index) {
+		return this.polygons[index];
+	}
+
+	/**
+	 * Cells are not symmetric, so pipes are drawn already rotated
+	 * @param {Number} tile
+	 * @param {Number} rotations
+	 * @param {Number} index
+	 * @returns {Number}
+	 */
+	getDrawnTile(tile, rotations, index) {
+		return this.rotate(tile, rotations, index);
+	}
+
+	/**
+	 * @param {import('$lib/puzzle/viewbox').ViewBox} box
+	 * @returns {import('$lib/puzzle/viewbox').VisibleTile[]}
+	 */
+	getVisibleTiles(box) {
+		const { xmin, ymin, width, height } = box;
+		/** @type {Set<Number>} */
+		const indices = new Set();
+		for (let bx = Math.floor(xmin / BUCKET) - 1; bx <= Math.ceil((xmin + width) / BUCKET); bx++) {
+			for (
+				let by = Math.floor(ymin / BUCKET) - 1;
+				by <= Math.ceil((ymin + height) / BUCKET);
+				by++
+			) {
+				for (let index of this.buckets.get(`${bx}_${by}`) || []) {
+					indices.add(index);
+				}
+			}
+		}
+		const visibleTiles = [];
+		for (let index of [...indices].sort((i, j) => i - j)) {
+			if (this.emptyCells.has(index)) {
+				continue;
+			}
+			const { x, y } = this.centers[index];
+			visibleTiles.push({ index, x, y, key: `${index}` });
+		}
+		return visibleTiles;
+	}
+
+	/**
+	 * Exports the grid's data, the cells description included
+	 * @returns {{width: Number, height: Number, wrap: Boolean, kind: String, tiles: Number[], graph?: GraphDescription}}
+	 */
+	export() {
+		return { ...super.export(), graph: this.graph };
+	}
+}
@@ -0,0 +1,228 @@
+import { describe, expect, it } from 'vitest';
+import { GraphGrid } from './graphgrid';
+import { SquareGrid } from './squaregrid';
+import { Generator } from '../generator';
+import { Solver } from '../solver';
+import { seededRandom } from '../random';
+import { createGrid } from './grids';
+import { parsePuzzleFile } from '../puzzlefile';
+import { decodePuzzle, encodePuzzle } from '../share';
+
+/**
+ * Describe a graph by polygons alone, edges with the same ends are neighbours
+ * @param {Number[][][]} polygons
+ * @returns {import('./graphgrid').GraphDescription}
+ */
+function describePolygons(polygons) {
+	/** @type {Map<String, Number[]>} */
+	const edges = new Map();
+	const edgeKey = (/** @type {Number[]} */ p, /** @type {Number[]} */ q) =>
+		[p.join(','), q.join(',')].sort().join(' ');
+	polygons.forEach((vertices, i) => {
+		vertices.forEach((vertex, j) => {
+			edges.set(edgeKey(vertex, vertices[(j + 1) % vertices.length]) + ` ${i}`, [i, j]);
+		});
+	});
+	return {
+		cells: polygons.map((vertices, i) => ({
+			vertices,
+			neighbours: vertices.map((vertex, j) => {
+				const key = edgeKey(vertex, vertices[(j + 1) % vertices.length]);
+				for (let k = 0; k < polygons.length; k++) {
+					if (k !== i && edges.has(`${key} ${k}`)) {
+						return edges.get(`${key} ${k}`) || null;
+					}
+				}
+				return null;
+			})
+		}))
+	};
+}
+
+/**
+ * Square cells in rows and columns, edges go east, north, west, south like in SquareGrid
+ * @param {Number} width
+ * @param {Number} height
+ */
+function squares(width, height) {
+	const polygons = [];
+	for (let r = 0; r < height; r++) {
+		for (let c = 0; c < width; c++) {
+			polygons.push([
+				[c + 0.5, r + 0.5],
+				[c + 0.5, r - 0.5],
+				[c - 0.5, r - 0.5],
+				[c - 0.5, r + 0.5]
+			]);
+		}
+	}
+	return describePolygons(polygons);
+}
+
+/**
+ * Wall of 2x1 bricks with every other row shifted by half a brick
+ * Bricks have 6 edges, each long side touches two bricks.
+ * @param {Number} width
+ * @param {Number} height
+ */
+function bricks(width, height) {
+	const polygons = [];
+	for (let r = 0; r < height; r++) {
+		for (let c = 0; c < width; c++) {
+			const x = 2 * c + (r % 2);
+			polygons.push([
+				[x + 2, r + 1],
+				[x + 2, r],
+				[x + 1, r],
+				[x, r],
+				[x, r + 1],
+				[x + 1, r + 1]
+			]);
+		}
+	}
+	return describePolygons(polygons);
+}
+
+describe('Test graph description', () => {
+	it('Finds the same neighbours as a square grid', () => {
+		const grid = new GraphGrid(squares(4, 3));
+		const squareGrid = new SquareGrid(4, 3, false);
+		for (let index = 0; index < grid.total; index++) {
+			grid.polygon_at(index).directions.forEach((direction, i) => {
+				const expected = squareGrid.find_neighbour(index, squareGrid.DIRECTIONS[i]);
+				expect(grid.find_neighbour(index, direction)).toEqual(expected);
+			});
+		}
+	});
+
+	it('Gives every edge of a cell its own direction', () => {
+		const grid = new GraphGrid(bricks(5, 5));
+		expect(grid.DIRECTIONS.length).toBe(6);
+		expect(grid.EDGEMARK_DIRECTIONS.length).toBe(3);
+		for (let index = 0; index < grid.total; index++) {
+			const directions = grid.polygon_at(index).directions;
+			expect(new Set(directions).size).toBe(6);
+			for (let direction of directions) {
+				const { neighbour, empty } = grid.find_neighbour(index, direction);
+				if (!empty) {
+					const opposite = grid.OPPOSITE.get(direction) || 0;
+					expect(grid.find_neighbour(neighbour, opposite).neighbour).toBe(index);
+				}
+			}
+		}
+	});
+
+	it('Turns clockwise polygons around', () => {
+		const graph = squares(2, 1);
+		const clockwise = {
+			cells: graph.cells.map(({ vertices, neighbours }) => ({
+				vertices: [...vertices].reverse(),
+				// edge j of reversed polygon is edge 2 - j of the original one
+				neighbours: neighbours.map((_, j) => {
+					const entry = neighbours[(6 - j) % 4];
+					return entry === null ? null : [entry[0], (6 - entry[1]) % 4];
+				})
+			}))
+		};
+		const grid = new GraphGrid(clockwise);
+		// east edge of the first square still comes first
+		const direction = grid.polygon_at(0).directions[0];
+		expect(grid.find_neighbour(0, direction).neighbour).toBe(1);
+	});
+
+	it('Rejects broken descriptions', () => {
+		const graph = squares(2, 1);
+		graph.cells[1].neighbours[2] = null;
+		expect(() => new GraphGrid(graph)).toThrow('does not lead back');
+		expect(() => new GraphGrid({ cells: [] })).toThrow('no cells');
+		expect(() => new GraphGrid({ cells: [{ vertices: [[0, 0]], neighbours: [null] }] })).toThrow(
+			'at least 3 vertices'
+		);
+	});
+});
+
+describe('Test which_tile_at', () => {
+	const grid = new GraphGrid(bricks(4, 4));
+
+	it('Finds tiles at their own centers', () => {
+		const box = { xmin: grid.XMIN, ymin: grid.YMIN, width: 10, height: 5 };
+		for (let { index, x, y } of grid.getVisibleTiles(box)) {
+			expect(grid.which_tile_at(x, y)).toEqual({ index, x, y });
+		}
+	});
+
+	it('Finds nothing outside of the board', () => {
+		expect(grid.which_tile_at(0.5, 1.5).index).toBe(-1);
+	});
+});
+
+describe('Test solving', () => {
+	it('Generates and solves a unique puzzle', () => {
+		const grid = new GraphGrid(bricks(5, 7));
+		const gen = new Generator(grid);
+		gen.random = seededRandom(7);
+		const tiles = gen.generate(0.6, 0, 0, 'unique');
+		const solver = new Solver(tiles, grid);
+		const { solvable } = solver.markAmbiguousTiles();
+		expect(solvable).toBe(true);
+		expect(solver.unsolved.size).toBe(0);
+	});
+});
+
+describe('Test saving graph puzzles', () => {
+	const grid = new GraphGrid(bricks(4, 3));
+	const gen = new Generator(grid);
+	gen.random = seededRandom(3);
+	const tiles = gen.generate(0.6, 0, 0, 'unique');
+
+	/**
+	 * Check that a grid has the same cells as the one puzzles were made on
+	 * @param {import('./abstractgrid').AbstractGrid} other
+	 */
+	function expectSameCells(other) {
+		expect(other.KIND).toBe('graph');
+		expect(other.total).toBe(grid.total);
+		for (let index = 0; index < grid.total; index++) {
+			const directions = grid.polygon_at(index).directions;
+			expect(other.polygon_at(index).directions).toEqual(directions);
+			for (let direction of directions) {
+				expect(other.find_neighbour(index, direction)).toEqual(
+					grid.find_neighbour(index, direction)
+				);
+			}
+		}
+	}
+
+	it('Creates graph grids from their cells', () => {
+		const { kind, width, height, wrap, graph } = grid.export();
+		expectSameCells(
+			createGrid(/** @type {any} */ (kind), width, height, wrap, tiles, undefined, graph)
+		);
+		expect(() => createGrid('graph', width, height, wrap)).toThrow('description of their cells');
+	});
+
+	it('Reads a downloaded puzzle', () => {
+		// same data as the download button writes
+		const text = JSON.stringify({
+			grid: grid.KIND,
+			width: grid.width,
+			height: grid.height,
+			wrap: grid.wrap,
+			tiles,
+			graph: grid.graph
+		});
+		const puzzle = parsePuzzleFile(text);
+		expectSameCells(puzzle.grid);
+		expect(puzzle.tiles).toEqual(tiles);
+		const { graph, ...noCells } = JSON.parse(text);
+		expect(() => parsePuzzleFile(JSON.stringify(noCells))).toThrow('cells not found');
+	});
+
+	it('Opens a share link', () => {
+		const shared = decodePuzzle(encodePuzzle(grid, tiles));
+		expectSameCells(shared.grid);
+		expect(shared.tiles).toEqual(tiles);
+		const noCells = encodePuzzle(grid, tiles).replace(/\.c~.*$/, '');
+		expect(() => decodePuzzle(noCells)).toThrow('cells are missing');
+	});
+});
@@ -3,13 +3,18 @@ import { SquareGrid } from '$lib/puzzle/grids/squaregrid';
 import { OctaGrid } from '$lib/puzzle/grids/octagrid';
 import { EtratGrid } from '$lib/puzzle/grids/etratgrid';
 import { CubeGrid } from '$lib/puzzle/grids/cubegrid';
+import { TriangularGrid } from '$lib/puzzle/grids/triangulargrid';
+import { RhombitrihexGrid } from '$lib/puzzle/grids/rhombitrihexgrid';
+import { PenroseGrid } from '$lib/puzzle/grids/penrosegrid';
+import { VoronoiGrid } from '$lib/puzzle/grids/voronoigrid';
+import { GraphGrid } from '$lib/puzzle/grids/graphgrid';
 
 /**
- * @typedef {'hexagonal'|'square'|'octagonal'|'etrat'|'cube'} GridKind
+ * @typedef {'hexagonal'|'square'|'octagonal'|'etrat'|'cube'|'triangular'|'rhombitrihex'|'penrose'|'voronoi'|'graph'} GridKind
  */
 
 /**
- * @typedef {'hexagonal'|'hexagonal-wrap'|'square'|'square-wrap'|'octagonal'|'octagonal-wrap'|'etrat'|'etrat-wrap'|'cube'|'cube-wrap'} GridCategory
+ * @typedef {'hexagonal'|'hexagonal-wrap'|'square'|'square-wrap'|'octagonal'|'octagonal-wrap'|'etrat'|'etrat-wrap'|'cube'|'cube-wrap'|'triangular'|'triangular-wrap'|'rhombitrihex'|'rhombitrihex-wrap'|'penrose'|'voronoi'} GridCategory
  */
 
 /**
@@ -19,6 +24,8 @@ import { CubeGrid } from '$lib/puzzle/grids/cubegrid';
  * @property {Number} height
  * @property {Boolean} wrap
  * @property {Number[]|undefined} tiles
+ * @property {Number} [seed] - seed of randomly placed cells
+ * @property {import('$lib/puzzle/grids/graphgrid').GraphDescription} [graph] - cells of graph grids
  */
 
 /**
@@ -28,9 +35,20 @@ import { CubeGrid } from '$lib/puzzle/grids/cubegrid';
  * @param {Number} height
  * @param {boolean} wrap
  * @param {Number[]|undefined} tiles
+ * @param {Number|undefined} seed - seed of randomly placed cells, other grids ignore it
+ * @param {import('$lib/puzzle/grids/graphgrid').GraphDescription|undefined} graph - cells of graph grids,
+ * which take their size from them, other grids ignore it
  * @returns {import('$lib/puzzle/grids/abstractgrid').AbstractGrid}
  */
-export function createGrid(kind, width, height, wrap, tiles = undefined) {
+export function createGrid(
+	kind,
+	width,
+	height,
+	wrap,
+	tiles = undefined,
+	seed = undefined,
+	graph = undefined
+) {
 	let grid;
 	if (kind === 'hexagonal') {
 		grid = new HexaGrid(width, height, wrap, tiles);
@@ -42,6 +60,19 @@ export function createGrid(kind, width, height, wrap, tiles = undefined) {
 		grid = new EtratGrid(width, height, wrap, tiles);
 	} else if (kind === 'cube') {
 		grid = new CubeGrid(width, height, wrap, tiles);
+	} else if (kind === 'triangular') {
+		grid = new TriangularGrid(width, height, wrap, tiles);
+	} else if (kind === 'rhombitrihex') {
+		grid = new RhombitrihexGrid(width, height, wrap, tiles);
+	} else if (kind === 'penrose') {
+		grid = new PenroseGrid(width, height, wrap, tiles);
+	} else if (kind === 'voronoi') {
+		grid = new VoronoiGrid(width, height, wrap, tiles, seed);
+	} else if (kind === 'graph') {
+		if (graph === undefined) {
+			throw 'Graph grids need a description of their cells';
+		}
+		grid = new GraphGrid(graph, tiles);
 	} else {
 		throw `Unknown grid kind ${kind}`;
 	}
@@ -49,7 +80,58 @@ export function createGrid(kind, width, height, wrap, tiles = undefined) {
 }
 
 /** @type {GridKind[]} */
-export const gridKinds = ['hexagonal', 'square', 'octagonal', 'etrat', 'cube'];
+export const gridKinds = [
+	'hexagonal',
+	'square',
+	'octagonal',
+	'etrat',
+	'cube',
+	'triangular',
+	'rhombitrihex',
+	'penrose',
+	'voronoi',
+	'graph'
+];
+
+/**
+ * Preset shapes for useShape of each grid kind
+ * @type {Object<GridKind, String[]>}
+ */
+export const gridShapes = {
+	hexagonal: [
+		'hexagon',
+		'triangle',
+		'hourglass',
+		'donut',
+		'round-hole',
+		'half-wrap-horizontal',
+		'half-wrap-vertical'
+	],
+	square: ['diamond', 'cross', 'hole', 'donut', 'half-wrap-horizontal', 'half-wrap-vertical'],
+	octagonal: [
+		'octagon',
+		'donut',
+		'butterfly',
+		'hole',
+		'half-wrap-horizontal',
+		'half-wrap-vertical'
+	],
+	etrat: ['diamond', 'cross', 'hole', 'donut', 'half-wrap-horizontal', 'half-wrap-vertical'],
+	cube: [
+		'hexagon',
+		'triangle',
+		'hourglass',
+		'donut',
+		'round-hole',
+		'half-wrap-horizontal',
+		'half-wrap-vertical'
+	],
+	triangular: [],
+	rhombitrihex: [],
+	penrose: [],
+	voronoi: [],
+	graph: []
+};
 
 export const gridInfo = {
 	hexagonal: {
@@ -88,70 +170,132 @@ export const gridInfo = {
 		exampleTiles: [
 			0, 0, 0, 3, 2, 12, 13, 4, 1, 7, 6, 1, 7, 1, 11, 2, 12, 11, 0, 0, 0, 6, 13, 4, 4, 3, 5
 		]
+	},
+	triangular: {
+		title: 'Triangular',
+		url: 'triangular',
+		wrap: true,
+		exampleGrid: new TriangularGrid(3, 2, false),
+		exampleTiles: [9, 5, 13, 5, 5, 4, 2, 1, 7, 5, 5, 4]
+	},
+	rhombitrihex: {
+		title: 'Rhombitrihexagonal',
+		url: 'rhombitrihex',
+		wrap: true,
+		exampleGrid: new RhombitrihexGrid(2, 2, false),
+		exampleTiles: [32, 16, 36, 0, 34, 0, 32, 0, 36, 20, 0, 16, 7, 11, 0, 0, 0, 0, 12, 0, 0, 0, 0, 0]
+	},
+	penrose: {
+		title: 'Penrose',
+		url: 'penrose',
+		wrap: false,
+		exampleGrid: new PenroseGrid(4, 4, false),
+		exampleTiles: [3, 2, 18, 24, 2, 9, 1, 17, 25, 11, 9, 24, 18, 11, 3, 18, 16, 10, 24, 16]
+	},
+	voronoi: {
+		title: 'Voronoi',
+		url: 'voronoi',
+		wrap: false,
+		exampleGrid: new VoronoiGrid(3, 3, false, [], 431590014),
+		exampleTiles: [24, 34, 2, 9, 24, 23, 1, 2, 16]
+	},
+	graph: {
+		title: 'Graph',
+		url: 'graph',
+		wrap: false,
+		// a row of three squares, graph grids only come from uploaded puzzles
+		exampleGrid: new GraphGrid({
+			cells: [0, 1, 2].map((x) => ({
+				vertices: [
+					[x + 1, 1],
+					[x + 1, 0],
+					[x, 0],
+					[x, 1]
+				],
+				neighbours: [x < 2 ? [x + 1, 2] : null, null, x > 0 ? [x - 1, 0] : null, null]
+			}))
+		}),
+		exampleTiles: [2, 10, 8]
 	}
 };
 
-function randomChoice(array) {
-	return array[Math.floor(Math.random() * array.length)];
+/**
+ * @param {Array<any>} array
+ * @param {import('$lib/puzzle/random').RNG} random
+ */
+function randomChoice(array, random) {
+	return array[Math.floor(random() * array.length)];
 }
 
-function randomTotal() {
-	return Math.floor(250 + 100 * Math.random());
+/**
+ * @param {import('$lib/puzzle/random').RNG} random
+ * @returns {Number}
+ */
+function randomTotal(random) {
+	return Math.floor(250 + 100 * random());
 }
 
 /**
  * Creates a random grid for setting a daily puzzle
+ * @param {import('$lib/puzzle/random').RNG} [random = Math.random] random number generator, pass a seeded one to get the same grid every time
  * @returns {import('$lib/puzzle/grids/abstractgrid').AbstractGrid}
  */
-export function randomGrid() {
+export function randomGrid(random = Math.random) {
 	let kind = 'hexagonal';
-	if (Math.random() < 0.4) {
-		kind = randomChoice([
-			'octagonal',
-			//'etrat',  // too hard
-			//'square', // too easy
-			'cube'
-		]);
+	if (random() < 0.4) {
+		kind = randomChoice(
+			[
+				'octagonal',
+				//'etrat',  // too hard
+				//'square', // too easy
+				'cube',
+				'rhombitrihex'
+			],
+			random
+		);
 	}
 	if (kind === 'hexagonal') {
-		const total = randomTotal();
+		const total = randomTotal(random);
 		let width = Math.floor(Math.sqrt(total));
 		width += 1 - (width % 2); // odd sizes are better
-		const wrap = Math.random() < 0.5;
+		const wrap = random() < 0.5;
 		const grid = new HexaGrid(width, width, wrap);
 		let shape;
 		if (wrap) {
-			shape = randomChoice([
-				'half-wrap-horizontal',
-				'half-wrap-vertical',
-				'round-hole'
-				// 'hexagon',
-				// 'hourglass',
-				// 'triangle',
-				// 'donut'
-			]);
+			shape = randomChoice(
+				[
+					'half-wrap-horizontal',
+					'half-wrap-vertical',
+					'round-hole'
+					// 'hexagon',
+					// 'hourglass',
+					// 'triangle',
+					// 'donut'
+				],
+				random
+			);
 		} else {
-			shape = randomChoice(['hexagon', 'triangle', 'hourglass', 'donut']);
+			shape = randomChoice(['hexagon', 'triangle', 'hourglass', 'donut'], random);
 		}
 		grid.useShape(shape);
 		return grid;
 	} else if (kind === 'octagonal') {
-		const total = 0.4 * randomTotal();
+		const total = 0.4 * randomTotal(random);
 		let width = Math.floor(Math.sqrt(total));
-		const wrap = Math.random() < 0.5;
+		const wrap = random() < 0.5;
 		const grid = new OctaGrid(width, width, wrap);
 		let shape;
 		if (wrap) {
-			shape = randomChoice(['half-wrap-horizontal', 'half-wrap-vertical', 'hole']);
+			shape = randomChoice(['half-wrap-horizontal', 'half-wrap-vertical', 'hole'], random);
 		} else {
-			shape = randomChoice(['octagon', 'hole', 'butterfly', 'donut']);
+			shape = randomChoice(['octagon', 'hole', 'butterfly', 'donut'], random);
 		}
 		grid.useShape(shape);
 		return grid;
 	} else if (kind === 'cube') {
-		const total = randomTotal();
+		const total = randomTotal(random);
 		let width = Math.floor(Math.sqrt(total));
-		const wrap = Math.random() < 0.5;
+		const wrap = random() < 0.5;
 		const scale = wrap ? 0.58 : 0.67;
 		for (let i = 0; i < 3; i++) {
 			if (Math.round(scale * width) % 2 === 1) {
@@ -162,24 +306,42 @@ export function randomGrid() {
 		const grid = new CubeGrid(width, width, wrap);
 		let shape;
 		if (wrap) {
-			shape = randomChoice([
-				'half-wrap-horizontal',
-				'half-wrap-vertical',
-				'round-hole'
-				// 'hexagon',
-				// 'hourglass',
-				// 'triangle',
-				// 'donut'
-			]);
+			shape = randomChoice(
+				[
+					'half-wrap-horizontal',
+					'half-wrap-vertical',
+					'round-hole'
+					// 'hexagon',
+					// 'hourglass',
+					// 'triangle',
+					// 'donut'
+				],
+				random
+			);
 		} else {
-			shape = randomChoice(['hexagon', 'triangle', 'hourglass', 'donut']);
+			shape = randomChoice(['hexagon', 'triangle', 'hourglass', 'donut'], random);
 		}
 		grid.useShape(shape);
 		return grid;
+	} else if (kind === 'rhombitrihex') {
+		// every hexagon brings along three squares and two triangles
+		const total = randomTotal(random) / 6;
+		const width = Math.floor(Math.sqrt(total));
+		const wrap = random() < 0.5;
+		return new RhombitrihexGrid(width, width, wrap);
 	} else {
-		const total = randomTotal();
+		const total = randomTotal(random);
 		const width = Math.floor(Math.sqrt(total));
-		const wrap = Math.random() > 0.5;
-		return createGrid(kind, width, width, wrap);
+		const wrap = random() > 0.5;
+		const grid =
+			kind === 'etrat' ? new EtratGrid(width, width, wrap) : new SquareGrid(width, width, wrap);
+		let shape;
+		if (wrap) {
+			shape = randomChoice(['half-wrap-horizontal', 'half-wrap-vertical', 'hole'], random);
+		} else {
+			shape = randomChoice(['diamond', 'cross', 'hole', 'donut'], random);
+		}
+		grid.useShape(shape);
+		return grid;
 	}
 }
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { createGrid, gridInfo, gridKinds } from './grids';
+
+describe('Test wrap copies', () => {
+	for (let kind of gridKinds.filter((kind) => gridInfo[kind].wrap)) {
+		it(`Tells copies across the seams from tiles on the board of ${kind} grids`, () => {
+			const grid = createGrid(kind, 6, 6, true);
+			const box = {
+				xmin: grid.XMIN - 2,
+				ymin: grid.YMIN - 2,
+				width: grid.XMAX - grid.XMIN + 4,
+				height: grid.YMAX - grid.YMIN + 4
+			};
+			const visible = grid.getVisibleTiles(box);
+			const onBoard = visible.filter((tile) => !grid.isWrapCopy(tile));
+			const copies = visible.filter((tile) => grid.isWrapCopy(tile));
+			// every tile is on the board exactly once, the ring around it is made of copies
+			const indices = onBoard.map((tile) => tile.index).sort((a, b) => a - b);
+			expect(indices).toEqual([...Array(grid.total).keys()]);
+			expect(copies.length).toBeGreaterThan(0);
+			for (let tile of onBoard) {
+				expect(tile.x).toBeGreaterThanOrEqual(grid.XMIN);
+				expect(tile.x).toBeLessThanOrEqual(grid.XMAX);
+				expect(tile.y).toBeGreaterThanOrEqual(grid.YMIN);
+				expect(tile.y).toBeLessThanOrEqual(grid.YMAX);
+			}
+		});
+
+		it(`Has no copies on ${kind} grids without wrap`, () => {
+			const grid = createGrid(kind, 6, 6, false);
+			const box = { xmin: grid.XMIN - 2, ymin: grid.YMIN - 2, width: 12, height: 12 };
+			expect(grid.getVisibleTiles(box).some((tile) => grid.isWrapCopy(tile))).toBe(false);
+		});
+	}
+});
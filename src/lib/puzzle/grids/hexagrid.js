@@ -29,6 +29,10 @@ export class HexaGrid extends AbstractGrid {
 	]);
 	NUM_DIRECTIONS = 6;
 	KIND = 'hexagonal';
+	/** @type {import('$lib/puzzle/grids/abstractgrid').Symmetry[]} */
+	SYMMETRIES = ['rotate2', 'rotate3', 'rotate6', 'mirror'];
+	// tiles along a row are neighbours, along a column they are not
+	MIRROR_ANGLE = 0;
 
 	#RC_DELTA = new Map([
 		[
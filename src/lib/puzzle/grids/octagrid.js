@@ -59,6 +59,8 @@ export class OctaGrid extends AbstractGrid {
 	ANGLE_RAD = Math.PI / 4;
 	NUM_DIRECTIONS = 8;
 	KIND = 'octagonal';
+	/** @type {import('$lib/puzzle/grids/abstractgrid').Symmetry[]} */
+	SYMMETRIES = ['rotate2', 'rotate4', 'mirror'];
 	PIPE_WIDTH = 0.1;
 	STROKE_WIDTH = 0.04;
 	PIPE_LENGTH = 0.5;
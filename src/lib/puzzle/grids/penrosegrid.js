@@ -0,0 +1,477 @@
+import { applyToPoint } from 'transformation-matrix';
+import { TransformedPolygonTile } from '$lib/puzzle/grids/polygonutils';
+import { AbstractGrid } from '$lib/puzzle/grids/abstractgrid';
+
+const GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
+/** Points closer than this are the same vertex */
+const EPSILON = 1e-6;
+/** Size of spatial index buckets */
+const BUCKET = 1;
+
+// Rhomb edges face 10 different angles, labeling them by angle would need 10 bits per tile.
+// Instead every edge gets one of three pairs of opposite directions, and the tiles on both sides
+// of the edge use opposite directions of the pair. See labelEdges for how the pairs are chosen.
+const PLUS_DIRECTIONS = [1, 2, 4];
+const MINUS_DIRECTIONS = [8, 16, 32];
+
+/**
+ * @typedef {{x: Number, y: Number}} Point
+ */
+
+/**
+ * Half of a rhomb, rhombs are formed by pairs of triangles sharing their bc edge
+ * @typedef {Object} RobinsonTriangle
+ * @property {Boolean} thin - half of a thin 36° rhomb or a thick 72° one
+ * @property {Point} a
+ * @property {Point} b
+ * @property {Point} c
+ */
+
+/**
+ * @typedef {Object} Rhomb
+ * @property {Boolean} thin
+ * @property {Point} center
+ * @property {Point[]} vertices - in order around the rhomb
+ */
+
+/**
+ * @param {Point} p
+ * @param {Point} q
+ * @param {Number} t
+ * @returns {Point} - point at t of the way from p to q
+ */
+function between(p, q, t) {
+	return { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+}
+
+/**
+ * Subdivide triangles into smaller ones, this shrinks the rhombs by the golden ratio
+ * @param {RobinsonTriangle[]} triangles
+ * @returns {RobinsonTriangle[]}
+ */
+function deflate(triangles) {
+	/** @type {RobinsonTriangle[]} */
+	const result = [];
+	for (let { thin, a, b, c } of triangles) {
+		if (thin) {
+			const p = between(a, b, 1 / GOLDEN_RATIO);
+			result.push({ thin: true, a: c, b: p, c: b }, { thin: false, a: p, b: c, c: a });
+		} else {
+			const q = between(b, a, 1 / GOLDEN_RATIO);
+			const r = between(b, c, 1 / GOLDEN_RATIO);
+			result.push(
+				{ thin: false, a: r, b: c, c: a },
+				{ thin: false, a: q, b: r, c: b },
+				{ thin: true, a: r, b: q, c: a }
+			);
+		}
+	}
+	return result;
+}
+
+/**
+ * Gives the same id to points that are closer than EPSILON to each other
+ * @returns {(point: Point) => Number}
+ */
+function vertexIdentifier() {
+	/** @type {Map<String, Number>} */
+	const ids = new Map();
+	return ({ x, y }) => {
+		const gx = Math.round(x / EPSILON);
+		const gy = Math.round(y / EPSILON);
+		// rounding errors might put the same point into a neighbouring cell
+		for (let dx = -1; dx <= 1; dx++) {
+			for (let dy = -1; dy <= 1; dy++) {
+				const id = ids.get(`${gx + dx}_${gy + dy}`);
+				if (id !== undefined) {
+					return id;
+				}
+			}
+		}
+		const id = ids.size;
+		ids.set(`${gx}_${gy}`, id);
+		return id;
+	};
+}
+
+/**
+ * Penrose rhombs with unit edges and centers inside a width x height rectangle
+ * The tiling is made by deflating a sun of ten triangles around the center of the rectangle,
+ * so the same size always gives the same rhombs in the same order.
+ * @param {Number} width
+ * @param {Number} height
+ * @param {(point: Point) => Number} vertexId
+ * @returns {Rhomb[]}
+ */
+function penroseRhombs(width, height, vertexId) {
+	const center = { x: width / 2, y: height / 2 };
+	// the sun must cover the whole rectangle
+	const coverRadius = Math.sqrt(width ** 2 + height ** 2) / 2 + 1;
+	const deflations = Math.max(
+		0,
+		Math.ceil(Math.log(coverRadius / Math.cos(Math.PI / 10)) / Math.log(GOLDEN_RATIO))
+	);
+	const radius = GOLDEN_RATIO ** deflations;
+	/** @type {RobinsonTriangle[]} */
+	let triangles = [];
+	for (let i = 0; i < 10; i++) {
+		const angle1 = ((2 * i - 1) * Math.PI) / 10;
+		const angle2 = ((2 * i + 1) * Math.PI) / 10;
+		let b = { x: center.x + radius * Math.cos(angle1), y: center.y + radius * Math.sin(angle1) };
+		let c = { x: center.x + radius * Math.cos(angle2), y: center.y + radius * Math.sin(angle2) };
+		if (i % 2 === 0) {
+			[b, c] = [c, b];
+		}
+		triangles.push({ thin: true, a: center, b, c });
+	}
+	for (let i = 0; i < deflations; i++) {
+		// drop the triangles that are too far from the rectangle to get there after deflating
+		triangles = deflate(triangles).filter(({ a, b, c }) => {
+			const xs = [a.x, b.x, c.x];
+			const ys = [a.y, b.y, c.y];
+			return (
+				Math.max(...xs) >= -1 &&
+				Math.min(...xs) <= width + 1 &&
+				Math.max(...ys) >= -1 &&
+				Math.min(...ys) <= height + 1
+			);
+		});
+	}
+	/** @type {Map<String, RobinsonTriangle>} */
+	const halves = new Map();
+	/** @type {Rhomb[]} */
+	const rhombs = [];
+	for (let triangle of triangles) {
+		const ids = [vertexId(triangle.b), vertexId(triangle.c)].sort((i, j) => i - j);
+		const key = `${triangle.thin}_${ids[0]}_${ids[1]}`;
+		const other = halves.get(key);
+		if (other === undefined) {
+			halves.set(key, triangle);
+			continue;
+		}
+		const { thin, a, b, c } = triangle;
+		const rhombCenter = between(a, other.a, 0.5);
+		if (
+			rhombCenter.x >= 0 &&
+			rhombCenter.x <= width &&
+			rhombCenter.y >= 0 &&
+			rhombCenter.y <= height
+		) {
+			rhombs.push({ thin, center: rhombCenter, vertices: [a, b, other.a, c] });
+		}
+	}
+	// number tiles row by row, rounding evens out tiny differences of floating point math
+	const rowKey = (/** @type {Rhomb} */ rhomb) => Math.round(rhomb.center.y / EPSILON);
+	const columnKey = (/** @type {Rhomb} */ rhomb) => Math.round(rhomb.center.x / EPSILON);
+	rhombs.sort((r1, r2) => rowKey(r1) - rowKey(r2) || columnKey(r1) - columnKey(r2));
+	return rhombs;
+}
+
+/**
+ * Pick a direction for every tile edge
+ * Tile edges are numbered like sides of a square, then both edges of a tile that face
+ * away from the "plus" side of their line are joined, and so are both edges that face
+ * towards it. Joined edges must get different pairs of directions.
+ * Every edge is joined to at most two others, one in each of its tiles, so edges form chains
+ * and loops that can always be colored with three pairs by going along them.
+ * @param {String[][]} tileEdges - edge keys of each tile
+ * @param {Boolean[][]} tileSigns - if the tile is on the plus side of each edge
+ * @returns {Number[][]} - directions of each tile's edges
+ */
+function labelEdges(tileEdges, tileSigns) {
+	/** @type {Map<String, String[]>} */
+	const joined = new Map();
+	tileEdges.forEach((edges, index) => {
+		for (let sign of [true, false]) {
+			const [e1, e2] = edges.filter((_, k) => tileSigns[index][k] === sign);
+			joined.set(e1, [...(joined.get(e1) || []), e2]);
+			joined.set(e2, [...(joined.get(e2) || []), e1]);
+		}
+	});
+	/** @type {Map<String, Number>} */
+	const colors = new Map();
+	/**
+	 * @param {String} edge
+	 * @returns {String[]}
+	 */
+	const uncolored = (edge) => (joined.get(edge) || []).filter((e) => !colors.has(e));
+	for (let edges of tileEdges) {
+		for (let edge of edges) {
+			if (colors.has(edge)) {
+				continue;
+			}
+			// start at an end of the chain if there is one
+			let start = edge;
+			let previous = '';
+			while (true) {
+				const next = (joined.get(start) || []).filter((e) => e !== previous);
+				if (next.length === 0 || next[0] === edge) {
+					break;
+				}
+				previous = start;
+				start = next[0];
+			}
+			/** @type {String|undefined} */
+			let current = start;
+			while (current !== undefined) {
+				const used = (joined.get(current) || []).map((e) => colors.get(e));
+				const color = [0, 1, 2].find((c) => !used.includes(c)) || 0;
+				colors.set(current, color);
+				current = uncolored(current)[0];
+			}
+		}
+	}
+	return tileEdges.map((edges, index) =>
+		edges.map((edge, k) => {
+			const color = colors.get(edge) || 0;
+			return tileSigns[index][k] ? PLUS_DIRECTIONS[color] : MINUS_DIRECTIONS[color];
+		})
+	);
+}
+
+/**
+ * Aperiodic grid of Penrose rhombs
+ * Unlike other grids tiles have no rows or columns,
+ * neighbours are found by matching vertices of the rhombs.
+ * Width and height are measured in rhomb edges.
+ * @extends AbstractGrid
+ */
+export class PenroseGrid extends AbstractGrid {
+	DIRECTIONS = [...PLUS_DIRECTIONS, ...MINUS_DIRECTIONS];
+	EDGEMARK_DIRECTIONS = PLUS_DIRECTIONS;
+	OPPOSITE = new Map([
+		[1, 8],
+		[8, 1],
+		[2, 16],
+		[16, 2],
+		[4, 32],
+		[32, 4]
+	]);
+	NUM_DIRECTIONS = 4;
+	KIND = 'penrose';
+	PIPE_WIDTH = 0.15;
+	STROKE_WIDTH = 0.06;
+	SINK_RADIUS = 0.2;
+	BEND_EDGEMARKS = true;
+	/** @type {"inherit" | "round" | "bevel" | "miter"} */
+	LINE_JOIN = 'bevel';
+
+	/**
+	 *
+	 * @param {Number} width
+	 * @param {Number} height
+	 * @param {Boolean} wrap - ignored, an aperiodic tiling can not wrap
+	 * @param {Number[]} tiles
+	 */
+	constructor(width, height, wrap, tiles = []) {
+		super(width, height, false, tiles);
+
+		const vertexId = vertexIdentifier();
+		const rhombs = penroseRhombs(width, height, vertexId);
+		this.total = rhombs.length;
+		/** @type {Point[]} */
+		this.centers = rhombs.map((rhomb) => rhomb.center);
+
+		/** @type {String[][]} */
+		const tileEdges = [];
+		/** @type {Boolean[][]} */
+		const tileSigns = [];
+		/** @type {{scale_x: Number, scale_y: Number, skew: Number, rotate: Number}[]} */
+		const transforms = [];
+		for (let { center, vertices } of rhombs) {
+			// the rhomb is a unit square stretched along its edges u and w
+			const [p0, p1, , p3] = vertices;
+			let u = { x: p1.x - p0.x, y: p1.y - p0.y };
+			let w = { x: p3.x - p0.x, y: p3.y - p0.y };
+			if (u.x * w.y - u.y * w.x < 0) {
+				[u, w] = [w, u];
+			}
+			// square edges go counterclockwise starting from the east one
+			const edges = [
+				{ normal: u, along: w },
+				{ normal: { x: -w.x, y: -w.y }, along: u },
+				{ normal: { x: -u.x, y: -u.y }, along: w },
+				{ normal: w, along: u }
+			];
+			const keys = [];
+			const signs = [];
+			for (let { normal, along } of edges) {
+				const middle = { x: center.x + normal.x / 2, y: center.y + normal.y / 2 };
+				const ids = [
+					vertexId({ x: middle.x - along.x / 2, y: middle.y - along.y / 2 }),
+					vertexId({ x: middle.x + along.x / 2, y: middle.y + along.y / 2 })
+				].sort((i, j) => i - j);
+				keys.push(ids.join('_'));
+				// both tiles of an edge agree on which side of it is the plus side
+				let plus = { x: -along.y, y: along.x };
+				if (plus.y < -EPSILON || (Math.abs(plus.y) <= EPSILON && plus.x < 0)) {
+					plus = { x: along.y, y: -along.x };
+				}
+				signs.push(normal.x * plus.x + normal.y * plus.y > 0);
+			}
+			tileEdges.push(keys);
+			tileSigns.push(signs);
+
+			const rotate = Math.atan2(u.y, u.x);
+			const wx = w.x * Math.cos(rotate) + w.y * Math.sin(rotate);
+			const wy = -w.x * Math.sin(rotate) + w.y * Math.cos(rotate);
+			const skew = Math.atan2(wx, wy);
+			transforms.push({
+				scale_x: Math.sqrt(u.x ** 2 + u.y ** 2),
+				scale_y: Math.sqrt(w.x ** 2 + w.y ** 2) * Math.cos(skew),
+				skew,
+				rotate
+			});
+		}
+
+		const tileDirections = labelEdges(tileEdges, tileSigns);
+
+		/** @type {Map<String, TransformedPolygonTile>} */
+		const polygonCache = new Map();
+		/** @type {TransformedPolygonTile[]} */
+		this.polygons = rhombs.map(({ thin }, index) => {
+			const { scale_x, scale_y, skew, rotate } = transforms[index];
+			const directions = tileDirections[index];
+			const key = [thin, rotate.toFixed(4), skew.toFixed(4), ...directions].join('_');
+			let polygon = polygonCache.get(key);
+			if (polygon === undefined) {
+				polygon = new TransformedPolygonTile(
+					4,
+					0,
+					0.5,
+					directions,
+					0.01,
+					scale_x,
+					scale_y,
+					skew,
+					0,
+					rotate,
+					thin ? 'filter: brightness(0.96)' : null
+				);
+				polygonCache.set(key, polygon);
+			}
+			return polygon;
+		});
+
+		/** @type {Map<String, {index: Number, direction: Number}[]>} */
+		const edgeTiles = new Map();
+		tileEdges.forEach((edges, index) => {
+			edges.forEach((edge, k) => {
+				const direction = tileDirections[index][k];
+				edgeTiles.set(edge, [...(edgeTiles.get(edge) || []), { index, direction }]);
+			});
+		});
+		/** @type {Map<Number, Number>[]} - direction => neighbour index for each tile */
+		this.neighbours = rhombs.map(() => new Map());
+		for (let sides of edgeTiles.values()) {
+			if (sides.length === 2) {
+				const [side1, side2] = sides;
+				this.neighbours[side1.index].set(side1.direction, side2.index);
+				this.neighbours[side2.index].set(side2.direction, side1.index);
+			}
+		}
+
+		// spatial index: bucket => tiles overlapping it
+		/** @type {Map<String, Number[]>} */
+		this.buckets = new Map();
+		this.XMIN = Number.POSITIVE_INFINITY;
+		this.XMAX = Number.NEGATIVE_INFINITY;
+		this.YMIN = Number.POSITIVE_INFINITY;
+		this.YMAX = Number.NEGATIVE_INFINITY;
+		rhombs.forEach(({ vertices }, index) => {
+			const xs = vertices.map((p) => p.x);
+			const ys = vertices.map((p) => p.y);
+			const xmin = Math.min(...xs);
+			const xmax = Math.max(...xs);
+			const ymin = Math.min(...ys);
+			const ymax = Math.max(...ys);
+			for (let bx = Math.floor(xmin / BUCKET); bx <= Math.floor(xmax / BUCKET); bx++) {
+				for (let by = Math.floor(ymin / BUCKET); by <= Math.floor(ymax / BUCKET); by++) {
+					const key = `${bx}_${by}`;
+					this.buckets.set(key, [...(this.buckets.get(key) || []), index]);
+				}
+			}
+			this.XMIN = Math.min(this.XMIN, xmin - 0.1);
+			this.XMAX = Math.max(this.XMAX, xmax + 0.1);
+			this.YMIN = Math.min(this.YMIN, ymin - 0.1);
+			this.YMAX = Math.max(this.YMAX, ymax + 0.1);
+		});
+	}
+
+	/**
+	 * Determines which tile a point at (x, y) belongs to
+	 * Returns tile index and tile center coordinates
+	 * If the point is over empty space then tileIndex is -1
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @returns {{index: Number, x:Number, y: Number}}
+	 */
+	which_tile_at(x, y) {
+		const key = `${Math.floor(x / BUCKET)}_${Math.floor(y / BUCKET)}`;
+		for (let index of this.buckets.get(key) || []) {
+			const center = this.centers[index];
+			const polygon = this.polygons[index];
+			// undo the tile transform to check if the point is in the unit square
+			const p = applyToPoint(polygon.transformInverse, { x: x - center.x, y: y - center.y });
+			if (Math.abs(p.x) <= 0.5 && Math.abs(p.y) <= 0.5) {
+				return {
+					index: this.emptyCells.has(index) ? -1 : index,
+					x: center.x,
+					y: center.y
+				};
+			}
+		}
+		return { index: -1, x, y };
+	}
+
+	/**
+	 * @param {Number} index
+	 * @param {Number} direction
+	 * @returns {{neighbour: Number, empty: boolean}} - neighbour index, is the neighbour an empty cell or outside the board
+	 */
+	find_neighbour(index, direction) {
+		const neighbour = this.neighbours[index].get(direction);
+		if (neighbour === undefined) {
+			return { neighbour: -1, empty: true };
+		}
+		return { neighbour, empty: this.emptyCells.has(neighbour) };
+	}
+
+	/**
+	 * @param {Number} index
+	 * @returns {TransformedPolygonTile}
+	 */
+	polygon_at(index) {
+		return this.polygons[index];
+	}
+
+	/**
+	 * @param {import('$lib/puzzle/viewbox').ViewBox} box
+	 * @returns {import('$lib/puzzle/viewbox').VisibleTile[]}
+	 */
+	getVisibleTiles(box) {
+		const { xmin, ymin, width, height } = box;
+		/** @type {Set<Number>} */
+		const indices = new Set();
+		for (let bx = Math.floor(xmin / BUCKET) - 1; bx <= Math.ceil((xmin + width) / BUCKET); bx++) {
+			for (
+				let by = Math.floor(ymin / BUCKET) - 1;
+				by <= Math.ceil((ymin + height) / BUCKET);
+				by++
+			) {
+				for (let index of this.buckets.get(`${bx}_${by}`) || []) {
+					indices.add(index);
+				}
+			}
+		}
+		const visibleTiles = [];
+		for (let index of [...indices].sort((i, j) => i - j)) {
+			if (this.emptyCells.has(index)) {
+				continue;
+			}
+			const { x, y } = this.centers[index];
+			visibleTiles.push({ index, x, y, key: `${index}` });
+		}
+		return visibleTiles;
+	}
+}
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { applyToPoint } from 'transformation-matrix';
+import { PenroseGrid } from './penrosegrid';
+import { Generator } from '../generator';
+import { Solver } from '../solver';
+import { seededRandom } from '../random';
+
+describe('Test tiling', () => {
+	it('Makes the same tiling for the same size', () => {
+		const grid1 = new PenroseGrid(7, 5, false);
+		const grid2 = new PenroseGrid(7, 5, false);
+		expect(grid1.total).toBe(grid2.total);
+		expect(grid1.centers).toEqual(grid2.centers);
+		expect(grid1.isConnected()).toBe(true);
+	});
+
+	it('Has thick and thin rhombs in golden ratio', () => {
+		const grid = new PenroseGrid(20, 20, false);
+		const thin = grid.polygons.filter((polygon) => polygon.style !== null).length;
+		expect((grid.total - thin) / thin).toBeCloseTo((1 + Math.sqrt(5)) / 2, 1);
+	});
+});
+
+describe('Test find neighbour', () => {
+	const grid = new PenroseGrid(10, 10, false);
+
+	/**
+	 * Where a pipe of the tile leaves it in a direction
+	 * @param {Number} index
+	 * @param {Number} direction
+	 */
+	function pipeEnd(index, direction) {
+		const polygon = grid.polygon_at(index);
+		const angle = polygon.directions.indexOf(direction) * polygon.angle_unit;
+		const { x, y } = applyToPoint(polygon.transformMatrix, {
+			x: 0.5 * Math.cos(angle),
+			y: -0.5 * Math.sin(angle)
+		});
+		return { x: grid.centers[index].x + x, y: grid.centers[index].y + y };
+	}
+
+	it('Gives every edge of a tile its own direction', () => {
+		for (let index = 0; index < grid.total; index++) {
+			expect(new Set(grid.polygon_at(index).directions).size).toBe(4);
+		}
+	});
+
+	it('Neighbours are mutual and their pipes meet', () => {
+		let inner = 0;
+		for (let index = 0; index < grid.total; index++) {
+			let neighbours = 0;
+			for (let direction of grid.polygon_at(index).directions) {
+				const { neighbour, empty } = grid.find_neighbour(index, direction);
+				if (empty) {
+					expect(neighbour).toBe(-1);
+					continue;
+				}
+				neighbours += 1;
+				const opposite = grid.OPPOSITE.get(direction) || 0;
+				expect(grid.find_neighbour(neighbour, opposite).neighbour).toBe(index);
+				const end = pipeEnd(index, direction);
+				const otherEnd = pipeEnd(neighbour, opposite);
+				expect(end.x).toBeCloseTo(otherEnd.x);
+				expect(end.y).toBeCloseTo(otherEnd.y);
+			}
+			if (neighbours === 4) {
+				inner += 1;
+			}
+		}
+		expect(inner).toBeGreaterThan(grid.total / 2);
+	});
+});
+
+describe('Test which_tile_at', () => {
+	const grid = new PenroseGrid(6, 6, false);
+
+	it('Finds tiles at their own centers', () => {
+		for (let { index, x, y } of grid.getVisibleTiles({
+			xmin: grid.XMIN,
+			ymin: grid.YMIN,
+			width: grid.XMAX - grid.XMIN,
+			height: grid.YMAX - grid.YMIN
+		})) {
+			expect(grid.which_tile_at(x, y)).toEqual({ index, x, y });
+		}
+	});
+
+	it('Finds nothing outside of the board', () => {
+		expect(grid.which_tile_at(grid.XMIN - 1, 3).index).toBe(-1);
+	});
+});
+
+describe('Test solving', () => {
+	it('Generates and solves a unique puzzle', () => {
+		const grid = new PenroseGrid(8, 8, false);
+		const gen = new Generator(grid);
+		gen.random = seededRandom(7);
+		const tiles = gen.generate(0.6, 0, 0, 'unique');
+		const solver = new Solver(tiles, grid);
+		const { solvable } = solver.markAmbiguousTiles();
+		expect(solvable).toBe(true);
+		expect(solver.unsolved.size).toBe(0);
+	});
+});
@@ -1,5 +1,14 @@
 import { scale, skew, rotate, compose, inverse, applyToPoint } from 'transformation-matrix';
 
+/**
+ * @typedef {'deadend'|'straight'|'bend'|'tjunction'|'cross'} TileClass
+ * Coarse kind of a tile by the number of its connections,
+ * tiles with four or more connections are all crosses
+ */
+
+/** @type {TileClass[]} */
+export const tileClasses = ['deadend', 'straight', 'bend', 'tjunction', 'cross'];
+
 export class TileType {
 	/**
 	 *
@@ -20,6 +29,16 @@ export class TileType {
 			!padded.includes('010') &&
 			!(padded.startsWith('10') && padded.endsWith('0'));
 		this.hasThreeOrMoreAdjacentConnections = padded.startsWith('111');
+		this.connections = padded.split('').filter((char) => char === '1').length;
+		/** @type {TileClass} */
+		this.tileClass = 'cross';
+		if (this.connections === 1) {
+			this.tileClass = 'deadend';
+		} else if (this.connections === 2) {
+			this.tileClass = this.isStraight ? 'straight' : 'bend';
+		} else if (this.connections === 3) {
+			this.tileClass = 'tjunction';
+		}
 	}
 }
 
@@ -599,3 +618,194 @@ export class TransformedPolygonTile extends RegularPolygonTile {
 		return { x1, x2, y1, y2, grid_x2: x, grid_y2: y };
 	}
 }
+
+/**
+ * Tile of any convex-ish polygon shape
+ * Such tiles look different after every turn, so their pipes are drawn already rotated
+ * instead of turning a picture of the initial pipes.
+ * @extends RegularPolygonTile
+ */
+export class GraphPolygonTile extends RegularPolygonTile {
+	/**
+	 *
+	 * @param {Number[][]} vertices - [x, y] relative to tile center, going counterclockwise as seen on screen
+	 * @param {Number[]} directions - direction of the edge from each vertex to the next one
+	 * @param {Number} border_width
+	 */
+	constructor(vertices, directions, border_width = 0.01) {
+		const edges = vertices.map(([x1, y1], i) => {
+			const [x2, y2] = vertices[(i + 1) % vertices.length];
+			const length = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+			// distance from tile center to the line of the edge
+			const distance = Math.abs(x1 * y2 - x2 * y1) / length;
+			return { x1, y1, x2, y2, length, distance, xmid: (x1 + x2) / 2, ymid: (y1 + y2) / 2 };
+		});
+		const radius_in = Math.min(...edges.map((edge) => edge.distance));
+		super(vertices.length, 0, radius_in, directions, border_width);
+		this.edges = edges;
+
+		this.contour_path = '';
+		vertices.forEach(([x, y], i) => {
+			const scale = 1 - border_width / Math.sqrt(x ** 2 + y ** 2);
+			this.contour_path += `${i === 0 ? 'm' : ' L'} ${x * scale} ${y * scale}`;
+		});
+		this.contour_path += ' z';
+	}
+
+	/**
+	 * Pipes are not turned as a picture, so the angle is always zero
+	 * @param {Number} rotations
+	 * @returns {Number}
+	 */
+	get_angle(rotations) {
+		return 0;
+	}
+
+	/**
+	 * A path to draw the pipes
+	 * @param {Number} tile
+	 */
+	get_pipes_path(tile) {
+		const cached = this.cache.pipes_path.get(tile);
+		if (cached !== undefined) {
+			return cached;
+		}
+		let path = `M 0 0`;
+		this.directions.forEach((direction, index) => {
+			if ((direction & tile) > 0) {
+				const { xmid, ymid } = this.edges[index];
+				path += ` L ${xmid} ${ymid} L 0 0`;
+			}
+		});
+		this.cache.pipes_path.set(tile, path);
+		return path;
+	}
+
+	/**
+	 * Where to draw a guiding dot for a tile
+	 * @param {Number} tile
+	 */
+	get_guide_dot_position(tile) {
+		const cached = this.cache.guide_dot_position.get(tile);
+		if (cached !== undefined) {
+			return cached;
+		}
+		const legs = this.edges.filter((_, index) => (this.directions[index] & tile) > 0);
+		let dx = legs.reduce((sum, leg) => sum + leg.xmid, 0) / legs.length;
+		let dy = -legs.reduce((sum, leg) => sum + leg.ymid, 0) / legs.length;
+		if (Math.abs(dx) < 0.001 && Math.abs(dy) < 0.001) {
+			// a symmetric tile, any leg will do
+			dx = legs[0].xmid;
+			dy = -legs[0].ymid;
+		}
+		const l = Math.sqrt(dx * dx + dy * dy);
+		const result = [(this.radius_in * dx) / l, (this.radius_in * dy) / l];
+		this.cache.guide_dot_position.set(tile, result);
+		return result;
+	}
+
+	/**
+	 * Compute number of rotations for orienting a tile with "click to orient" control mode
+	 * @param {Number} tile
+	 * @param {Number} old_rotations
+	 * @param {Number} tx - x coordinate of clicked point relative to tile center
+	 * @param {Number} ty - y coordinate of clicked point relative to tile center
+	 * @returns {Number}
+	 */
+	click_orient_tile(tile, old_rotations, tx, ty) {
+		const new_angle = Math.atan2(-ty, tx);
+		let best = { rotations: 0, delta: Number.POSITIVE_INFINITY };
+		for (let rotations = 0; rotations < this.num_directions; rotations++) {
+			const [guideX, guideY] = this.get_guide_dot_position(this.rotate(tile, rotations));
+			let delta = Math.abs(Math.atan2(guideY, guideX) - new_angle);
+			delta = Math.min(delta, 2 * Math.PI - delta);
+			if (delta < best.delta) {
+				best = { rotations, delta };
+			}
+		}
+		return this.normalize_rotations(best.rotations - old_rotations);
+	}
+
+	/**
+	 * Given coordinates relative to tile center return the direction of the closest edge
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @returns {Number} direction
+	 */
+	get_closest_direction(x, y) {
+		let best = { index: 0, distance: Number.POSITIVE_INFINITY };
+		this.edges.forEach(({ x1, y1, x2, y2, length }, index) => {
+			// distance to the closest point of the edge
+			const t = Math.max(
+				0,
+				Math.min(1, ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / length ** 2)
+			);
+			const distance = Math.sqrt((x1 + t * (x2 - x1) - x) ** 2 + (y1 + t * (y2 - y1) - y) ** 2);
+			if (distance < best.distance) {
+				best = { index, distance };
+			}
+		});
+		return this.directions[best.index];
+	}
+
+	/**
+	 * Returns coordinates of edge line in direction
+	 * @param {Number} direction
+	 * @returns {{x1: Number, x2: Number, y1: Number, y2: Number, length: Number}}
+	 */
+	get_wall_line(direction) {
+		const { x1, y1, x2, y2, length } = this.edges[this.direction_to_index.get(direction) || 0];
+		return { x1, x2, y1: -y1, y2: -y2, length };
+	}
+
+	/**
+	 * Tells if a point is close to the middle of a polygon's edge
+	 * Input coordinates are relative to tile's center
+	 * @param {Number} x
+	 * @param {Number} y
+	 */
+	is_close_to_edge(x, y) {
+		const direction = this.get_closest_direction(x, y);
+		const { xmid, ymid, length } = this.edges[this.direction_to_index.get(direction) || 0];
+		return {
+			direction,
+			isClose: Math.sqrt((x - xmid) ** 2 + (y - ymid) ** 2) <= 0.3 * length
+		};
+	}
+
+	/**
+	 * Returns coordinates for drawing edgemark line relative to tile center
+	 * @param {Number} direction
+	 * @returns {{
+	 * x1: Number,
+	 * x2: Number,
+	 * y1: Number,
+	 * y2: Number,
+	 * grid_x2: Number,
+	 * grid_y2: Number,
+	 * }}
+	 */
+	get_edgemark_line(direction, extendOut = true) {
+		const key = `${direction}-${extendOut}`;
+		const cached = this.cache.edgemark_line.get(key);
+		if (cached !== undefined) {
+			return cached;
+		}
+		const { x1, y1, x2, y2, xmid, ymid } = this.edges[this.direction_to_index.get(direction) || 0];
+		// outward normal of the edge, a quarter of the edge long
+		const dx = -0.25 * (y2 - y1);
+		const dy = 0.25 * (x2 - x1);
+		const line = {
+			x1: xmid - dx,
+			y1: ymid - dy,
+			x2: xmid + (extendOut ? dx : 0),
+			y2: ymid + (extendOut ? dy : 0),
+			grid_x2: 0,
+			grid_y2: 0
+		};
+		line.grid_x2 = line.x2;
+		line.grid_y2 = line.y2;
+		this.cache.edgemark_line.set(key, line);
+		return line;
+	}
+}
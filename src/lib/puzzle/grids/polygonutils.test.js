@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { RegularPolygonTile } from './polygonutils';
+import { GraphPolygonTile, RegularPolygonTile } from './polygonutils';
 
 describe('Test square tile rotations', () => {
 	const square = new RegularPolygonTile(4, 0, 0.5);
@@ -234,6 +234,7 @@ describe('Test square tile types', () => {
 			const type = square.tileTypes.get(tile);
 			expect(type).toBeDefined();
 			expect(type?.str).toBe('1000');
+			expect(type?.tileClass).toBe('deadend');
 			expect(type?.isDeadend).toBe(true);
 			expect(type?.isFullyConnected).toBe(false);
 			expect(type?.isStraight).toBe(false);
@@ -248,6 +249,7 @@ describe('Test square tile types', () => {
 			const type = square.tileTypes.get(tile);
 			expect(type).toBeDefined();
 			expect(type?.str).toBe('1100');
+			expect(type?.tileClass).toBe('bend');
 			expect(type?.isDeadend).toBe(false);
 			expect(type?.isFullyConnected).toBe(false);
 			expect(type?.isStraight).toBe(false);
@@ -262,6 +264,7 @@ describe('Test square tile types', () => {
 			const type = square.tileTypes.get(tile);
 			expect(type).toBeDefined();
 			expect(type?.str).toBe('1010');
+			expect(type?.tileClass).toBe('straight');
 			expect(type?.isDeadend).toBe(false);
 			expect(type?.isFullyConnected).toBe(false);
 			expect(type?.isStraight).toBe(true);
@@ -276,6 +279,7 @@ describe('Test square tile types', () => {
 			const type = square.tileTypes.get(tile);
 			expect(type).toBeDefined();
 			expect(type?.str).toBe('1110');
+			expect(type?.tileClass).toBe('tjunction');
 			expect(type?.isDeadend).toBe(false);
 			expect(type?.isFullyConnected).toBe(false);
 			expect(type?.isStraight).toBe(false);
@@ -290,6 +294,7 @@ describe('Test square tile types', () => {
 			const type = square.tileTypes.get(tile);
 			expect(type).toBeDefined();
 			expect(type?.str).toBe('1111');
+			expect(type?.tileClass).toBe('cross');
 			expect(type?.isDeadend).toBe(false);
 			expect(type?.isFullyConnected).toBe(true);
 			expect(type?.isStraight).toBe(false);
@@ -354,3 +359,39 @@ describe('Test triangle tile types', () => {
 		}
 	});
 });
+
+describe('Test irregular pentagon tile types', () => {
+	const pentagon = new GraphPolygonTile(
+		[
+			[0.5, 0.4],
+			[0.6, -0.3],
+			[0, -0.6],
+			[-0.5, -0.2],
+			[-0.4, 0.5]
+		],
+		[1, 2, 4, 16, 32]
+	);
+
+	it('Has correct tiles count', () => {
+		expect(pentagon.tileTypes.size).toBe(31);
+	});
+
+	it('Has correct types count', () => {
+		const types = new Set([...pentagon.tileTypes.values()].map((x) => x.str));
+		expect(types.size).toBe(7);
+	});
+
+	it('Turn tile', () => {
+		for (let tile of [3, 6, 20, 48, 33]) {
+			const type = pentagon.tileTypes.get(tile);
+			expect(type?.str).toBe('11000');
+			expect(type?.isStraight).toBe(false);
+		}
+	});
+
+	it('Rotates through all edges', () => {
+		expect([0, 1, 2, 3, 4, 5].map((times) => pentagon.rotate(1, times))).toEqual([
+			1, 32, 16, 4, 2, 1
+		]);
+	});
+});
@@ -0,0 +1,311 @@
+import { RegularPolygonTile } from '$lib/puzzle/grids/polygonutils';
+import { AbstractGrid } from '$lib/puzzle/grids/abstractgrid';
+import { HexaGrid, EAST, NORTHEAST, NORTHWEST, WEST, SOUTHWEST, SOUTHEAST } from './hexagrid';
+
+const EDGE = 1;
+const HEXAGON_RADIUS_IN = (EDGE * Math.sqrt(3)) / 2;
+const TRIANGLE_RADIUS_IN = (EDGE * Math.sqrt(3)) / 6;
+/** Distance between centers of neighbouring hexagons */
+const HEXSTEP = 2 * HEXAGON_RADIUS_IN + EDGE;
+const HEXYSTEP = Math.sqrt(3) / 2;
+
+// Tile edges face 12 different angles, but only the 6 hexagonal directions are used:
+// an edge facing angle A is labeled with the hexagonal direction of floor(A / 60°) * 60°.
+// No tile has two edges with the same label and opposite edges still get opposite labels,
+// while tile values stay small enough to fit in a byte.
+const HEXAGON = new RegularPolygonTile(6, 0, HEXAGON_RADIUS_IN);
+const SQUARE_EAST = new RegularPolygonTile(4, 0, EDGE / 2, [EAST, NORTHEAST, WEST, SOUTHWEST]);
+const SQUARE_SOUTHEAST = new RegularPolygonTile(4, Math.PI / 6, EDGE / 2, [
+	EAST,
+	NORTHWEST,
+	WEST,
+	SOUTHEAST
+]);
+const SQUARE_SOUTHWEST = new RegularPolygonTile(4, Math.PI / 3, EDGE / 2, [
+	NORTHEAST,
+	NORTHWEST,
+	SOUTHWEST,
+	SOUTHEAST
+]);
+const DOWNTRIANGLE = new RegularPolygonTile(3, Math.PI / 2, TRIANGLE_RADIUS_IN, [
+	NORTHEAST,
+	WEST,
+	SOUTHEAST
+]);
+const UPTRIANGLE = new RegularPolygonTile(3, Math.PI / 6, TRIANGLE_RADIUS_IN, [
+	EAST,
+	NORTHWEST,
+	SOUTHWEST
+]);
+
+/**
+ * Every hexagon of the underlying hexagonal grid makes a unit of 6 tiles:
+ * the hexagon itself, squares to the east, southeast and southwest of it,
+ * triangle between it and its east and southeast neighbours,
+ * triangle between it and its southeast and southwest neighbours.
+ */
+const UNIT_POLYGONS = [
+	HEXAGON,
+	SQUARE_EAST,
+	SQUARE_SOUTHEAST,
+	SQUARE_SOUTHWEST,
+	DOWNTRIANGLE,
+	UPTRIANGLE
+];
+
+/** Tile centers relative to the hexagon center of their unit */
+const UNIT_OFFSETS = [
+	[0, 0],
+	[HEXSTEP / 2, 0],
+	[HEXSTEP / 4, (HEXSTEP * Math.sqrt(3)) / 4],
+	[-HEXSTEP / 4, (HEXSTEP * Math.sqrt(3)) / 4],
+	[HEXSTEP / 2, (HEXSTEP * Math.sqrt(3)) / 6],
+	[0, (HEXSTEP * Math.sqrt(3)) / 3]
+];
+
+/**
+ * Neighbours of each tile in a unit: direction => [hexagonal direction to another unit or 0, tile in that unit]
+ * @type {Map<Number, Number[]>[]}
+ */
+const UNIT_NEIGHBOURS = [
+	// hexagon
+	new Map([
+		[EAST, [0, 1]],
+		[NORTHEAST, [NORTHEAST, 3]],
+		[NORTHWEST, [NORTHWEST, 2]],
+		[WEST, [WEST, 1]],
+		[SOUTHWEST, [0, 3]],
+		[SOUTHEAST, [0, 2]]
+	]),
+	// east square
+	new Map([
+		[EAST, [EAST, 0]],
+		[NORTHEAST, [NORTHEAST, 5]],
+		[WEST, [0, 0]],
+		[SOUTHWEST, [0, 4]]
+	]),
+	// southeast square
+	new Map([
+		[EAST, [0, 4]],
+		[NORTHWEST, [0, 0]],
+		[WEST, [0, 5]],
+		[SOUTHEAST, [SOUTHEAST, 0]]
+	]),
+	// southwest square
+	new Map([
+		[NORTHEAST, [0, 0]],
+		[NORTHWEST, [WEST, 4]],
+		[SOUTHWEST, [SOUTHWEST, 0]],
+		[SOUTHEAST, [0, 5]]
+	]),
+	// down triangle
+	new Map([
+		[NORTHEAST, [0, 1]],
+		[WEST, [0, 2]],
+		[SOUTHEAST, [EAST, 3]]
+	]),
+	// up triangle
+	new Map([
+		[EAST, [0, 2]],
+		[NORTHWEST, [0, 3]],
+		[SOUTHWEST, [SOUTHWEST, 1]]
+	])
+];
+
+/**
+ * Hexagonal directions to units whose hexagons are shared by the tile,
+ * tiles of non-wrap boards are removed if any of those hexagons is outside the board
+ * @type {Number[][]}
+ */
+const UNIT_HEXAGONS = [
+	[],
+	[EAST],
+	[SOUTHEAST],
+	[SOUTHWEST],
+	[EAST, SOUTHEAST],
+	[SOUTHEAST, SOUTHWEST]
+];
+
+/**
+ * Hexagonal direction vectors between unit centers
+ * @type {Map<Number, Number[]>}
+ */
+const HEX_DELTAS = new Map([
+	[EAST, [1, 0]],
+	[NORTHEAST, [0.5, -HEXYSTEP]],
+	[NORTHWEST, [-0.5, -HEXYSTEP]],
+	[WEST, [-1, 0]],
+	[SOUTHWEST, [-0.5, HEXYSTEP]],
+	[SOUTHEAST, [0.5, HEXYSTEP]]
+]);
+
+/**
+ * Rhombitrihexagonal (3.4.6.4) grid of hexagons, squares and triangles
+ * @extends AbstractGrid
+ */
+export class RhombitrihexGrid extends AbstractGrid {
+	DIRECTIONS = [EAST, NORTHEAST, NORTHWEST, WEST, SOUTHWEST, SOUTHEAST];
+	EDGEMARK_DIRECTIONS = [NORTHEAST, NORTHWEST, WEST];
+	OPPOSITE = new Map([
+		[NORTHEAST, SOUTHWEST],
+		[SOUTHWEST, NORTHEAST],
+		[EAST, WEST],
+		[WEST, EAST],
+		[NORTHWEST, SOUTHEAST],
+		[SOUTHEAST, NORTHWEST]
+	]);
+	NUM_DIRECTIONS = 6;
+	KIND = 'rhombitrihex';
+	PIPE_WIDTH = 0.15;
+	STROKE_WIDTH = 0.06;
+	PIPE_LENGTH = 0.5;
+	SINK_RADIUS = 0.2;
+
+	/**
+	 *
+	 * @param {Number} width
+	 * @param {Number} height
+	 * @param {Boolean} wrap
+	 * @param {Number[]} tiles
+	 */
+	constructor(width, height, wrap, tiles = []) {
+		super(width, height, wrap, tiles);
+		this.hexagrid = new HexaGrid(width, height, wrap);
+		this.total = width * height * 6;
+
+		if (!wrap) {
+			// remove squares and triangles that stick out of the board
+			for (let hexIndex = 0; hexIndex < width * height; hexIndex++) {
+				UNIT_HEXAGONS.forEach((hexDirections, unitIndex) => {
+					if (hexDirections.some((d) => this.hexagrid.find_neighbour(hexIndex, d).empty)) {
+						this.makeEmpty(hexIndex * 6 + unitIndex);
+					}
+				});
+			}
+		}
+
+		if (wrap) {
+			this.XMIN = this.hexagrid.XMIN * HEXSTEP;
+			this.XMAX = this.hexagrid.XMAX * HEXSTEP;
+			this.YMIN = this.hexagrid.YMIN * HEXSTEP;
+			this.YMAX = this.hexagrid.YMAX * HEXSTEP;
+		} else {
+			this.XMIN = -HEXAGON_RADIUS_IN - 0.1;
+			this.XMAX = HEXSTEP * (width - (height > 1 ? 0.5 : 1)) + HEXAGON_RADIUS_IN + 0.1;
+			this.YMIN = -EDGE - 0.1;
+			this.YMAX = HEXSTEP * HEXYSTEP * (height - 1) + EDGE + 0.1;
+		}
+	}
+
+	/**
+	 * Determines which tile a point at (x, y) belongs to
+	 * Returns tile index and tile center coordinates
+	 * If the point is over empty space then tileIndex is -1
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @returns {{index: Number, x:Number, y: Number}}
+	 */
+	which_tile_at(x, y) {
+		const hexTile = this.hexagrid.which_tile_at(x / HEXSTEP, y / HEXSTEP);
+		if (hexTile.index === -1) {
+			return { index: -1, x, y };
+		}
+		// the point is in a tile of the closest unit or one of its neighbours
+		const units = [{ hexIndex: hexTile.index, x0: hexTile.x, y0: hexTile.y }];
+		for (let [direction, [dx, dy]] of HEX_DELTAS.entries()) {
+			const { neighbour } = this.hexagrid.find_neighbour(hexTile.index, direction);
+			if (neighbour !== -1) {
+				units.push({ hexIndex: neighbour, x0: hexTile.x + dx, y0: hexTile.y + dy });
+			}
+		}
+		let best = { index: -1, x, y, distance: Number.POSITIVE_INFINITY };
+		for (let { hexIndex, x0, y0 } of units) {
+			UNIT_POLYGONS.forEach((polygon, unitIndex) => {
+				const tx = x0 * HEXSTEP + UNIT_OFFSETS[unitIndex][0];
+				const ty = y0 * HEXSTEP + UNIT_OFFSETS[unitIndex][1];
+				// distance to the farthest edge line, it is negative only inside the tile
+				let distance = Number.NEGATIVE_INFINITY;
+				for (let i = 0; i < polygon.num_directions; i++) {
+					const angle = polygon.angle_offset + i * polygon.angle_unit;
+					const projection = (x - tx) * Math.cos(angle) - (y - ty) * Math.sin(angle);
+					distance = Math.max(distance, projection - polygon.radius_in);
+				}
+				if (distance < best.distance) {
+					best = { index: hexIndex * 6 + unitIndex, x: tx, y: ty, distance };
+				}
+			});
+		}
+		const index = this.emptyCells.has(best.index) ? -1 : best.index;
+		return { index, x: best.x, y: best.y };
+	}
+
+	/**
+	 * @param {Number} index
+	 * @param {Number} direction
+	 * @returns {{neighbour: Number, empty: boolean}} - neighbour index, is the neighbour an empty cell or outside the board
+	 */
+	find_neighbour(index, direction) {
+		const hexIndex = Math.floor(index / 6);
+		const unitIndex = index - 6 * hexIndex;
+		const link = UNIT_NEIGHBOURS[unitIndex].get(direction);
+		if (link === undefined) {
+			return { neighbour: -1, empty: true };
+		}
+		const [hexDirection, neighbourUnitIndex] = link;
+		let neighbourHex = hexIndex;
+		if (hexDirection !== 0) {
+			neighbourHex = this.hexagrid.find_neighbour(hexIndex, hexDirection).neighbour;
+			if (neighbourHex === -1) {
+				return { neighbour: -1, empty: true };
+			}
+		}
+		const neighbour = neighbourHex * 6 + neighbourUnitIndex;
+		return { neighbour, empty: this.emptyCells.has(neighbour) };
+	}
+
+	/**
+	 * @param {Number} index
+	 * @returns {RegularPolygonTile}
+	 */
+	polygon_at(index) {
+		return UNIT_POLYGONS[index % 6];
+	}
+
+	/**
+	 * Get CSS transform function parameters for this tile
+	 * @param {Number} index
+	 */
+	getTileTransformCSS(index) {
+		return null;
+	}
+
+	/**
+	 * @param {import('$lib/puzzle/viewbox').ViewBox} box
+	 * @returns {import('$lib/puzzle/viewbox').VisibleTile[]}
+	 */
+	getVisibleTiles(box) {
+		// tiles of a unit lie below and to the right of its hexagon
+		const visibleHexagons = this.hexagrid.getVisibleTiles({
+			xmin: box.xmin / HEXSTEP - 1,
+			ymin: box.ymin / HEXSTEP - 1,
+			width: box.width / HEXSTEP + 1,
+			height: box.height / HEXSTEP + 1
+		});
+		const visibleTiles = [];
+		for (let hexagon of visibleHexagons) {
+			for (let unitIndex = 0; unitIndex < 6; unitIndex++) {
+				const index = hexagon.index * 6 + unitIndex;
+				if (this.emptyCells.has(index)) {
+					continue;
+				}
+				visibleTiles.push({
+					index,
+					x: hexagon.x * HEXSTEP + UNIT_OFFSETS[unitIndex][0],
+					y: hexagon.y * HEXSTEP + UNIT_OFFSETS[unitIndex][1],
+					key: hexagon.key + '_' + unitIndex
+				});
+			}
+		}
+		return visibleTiles;
+	}
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { RhombitrihexGrid } from './rhombitrihexgrid';
+import { Generator } from '../generator';
+import { Solver } from '../solver';
+import { seededRandom } from '../random';
+
+describe('Test find neighbour', () => {
+	it('Find neighbours in a regular puzzle', () => {
+		const grid = new RhombitrihexGrid(3, 3, false);
+		const expected = new Map([
+			// hexagon in the middle of the board
+			[24, [25, 15, 8, 19, 27, 26]],
+			// east square
+			[25, [30, 17, 24, 28]],
+			// southeast square
+			[26, [28, 24, 29, 48]],
+			// southwest square
+			[27, [24, 22, 42, 29]],
+			// down triangle
+			[28, [25, 26, 33]],
+			// up triangle
+			[29, [26, 27, 43]]
+		]);
+		for (let [index, neighbours] of expected.entries()) {
+			const polygon = grid.polygon_at(index);
+			for (let i = 0; i < polygon.directions.length; i++) {
+				const neighbourExpected = neighbours[i];
+				const direction = polygon.directions[i];
+				const { neighbour, empty } = grid.find_neighbour(index, direction);
+				const msg = `Index ${index}, direction ${direction} => neighbour ${neighbour} empty ${empty}`;
+				expect(empty, msg).toBe(neighbourExpected === -1 || grid.emptyCells.has(neighbour));
+				expect(neighbour, msg).toBe(neighbourExpected);
+			}
+		}
+	});
+
+	it('Removes tiles sticking out of a regular puzzle', () => {
+		const grid = new RhombitrihexGrid(3, 3, false);
+		// east square and triangles of the top right hexagon
+		expect(grid.emptyCells.has(13)).toBe(true);
+		expect(grid.emptyCells.has(16)).toBe(true);
+		// bottom row has only hexagons and east squares between them
+		expect([...Array(18).keys()].filter((i) => !grid.emptyCells.has(36 + i))).toEqual([
+			0, 1, 6, 7, 12
+		]);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Neighbours are mutual in a wrap puzzle', () => {
+		for (let [width, height] of [
+			[4, 4],
+			[3, 5]
+		]) {
+			const grid = new RhombitrihexGrid(width, height, true);
+			for (let index = 0; index < grid.total; index++) {
+				for (let direction of grid.polygon_at(index).directions) {
+					const { neighbour, empty } = grid.find_neighbour(index, direction);
+					expect(empty).toBe(false);
+					const opposite = grid.OPPOSITE.get(direction) || 0;
+					expect(grid.find_neighbour(neighbour, opposite).neighbour).toBe(index);
+				}
+			}
+		}
+	});
+});
+
+describe('Test which_tile_at', () => {
+	it('Finds tiles at their own centers', () => {
+		const grid = new RhombitrihexGrid(4, 4, true);
+		const box = { xmin: grid.XMIN, ymin: grid.YMIN, width: 12, height: 10 };
+		for (let { index, x, y } of grid.getVisibleTiles(box)) {
+			const tile = grid.which_tile_at(x, y);
+			expect(tile.index).toBe(index);
+			expect(tile.x).toBeCloseTo(x);
+			expect(tile.y).toBeCloseTo(y);
+		}
+	});
+});
+
+describe('Test solving', () => {
+	it('Generates and solves a unique puzzle', () => {
+		for (let wrap of [false, true]) {
+			const grid = new RhombitrihexGrid(4, 4, wrap);
+			const gen = new Generator(grid);
+			gen.random = seededRandom(7);
+			const tiles = gen.generate(0.6, 0, 0, 'unique');
+			const solver = new Solver(tiles, grid);
+			const { solvable } = solver.markAmbiguousTiles();
+			expect(solvable).toBe(true);
+			expect(solver.unsolved.size).toBe(0);
+		}
+	});
+});
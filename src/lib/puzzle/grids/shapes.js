@@ -0,0 +1,62 @@
+/**
+ * Shapes of square and elongated triangular grids
+ * @typedef {'diamond'|'cross'|'hole'|'donut'|'half-wrap-horizontal'|'half-wrap-vertical'} RectangularShape
+ */
+
+/**
+ * Size of the middle part of the board that is cut out by hole and cross shapes
+ * relative to the board size
+ */
+const THIRD = 1 / 3;
+
+/**
+ * Donut keeps a ring that is at least two cells wide on small boards
+ */
+const DONUT_HOLE = 0.4;
+
+/**
+ * Tells if a cell stays on the board after cutting a shape out of it
+ * Cell position is relative to the board center and ranges from -1 to 1 along each axis
+ * Half-wrap shapes depend on cell indices and are handled by the grids themselves
+ * @param {RectangularShape} shape
+ * @param {Number} u - horizontal position, -1 on the left edge, 1 on the right edge
+ * @param {Number} v - vertical position, -1 on the top edge, 1 on the bottom edge
+ * @returns {Boolean}
+ */
+export function isInShape(shape, u, v) {
+	const distance = Math.abs(u) + Math.abs(v);
+	if (shape === 'diamond') {
+		return distance <= 1;
+	} else if (shape === 'cross') {
+		return Math.abs(u) <= THIRD || Math.abs(v) <= THIRD;
+	} else if (shape === 'hole') {
+		return Math.abs(u) >= THIRD || Math.abs(v) >= THIRD;
+	} else if (shape === 'donut') {
+		return distance <= 1 && distance >= DONUT_HOLE;
+	} else {
+		throw 'unknown shape ' + shape;
+	}
+}
+
+/**
+ * Relative positions of cells for isInShape
+ * @param {{x: Number, y: Number}[]} points - cell centers
+ * @param {Number} dx - horizontal distance between neighbouring cells
+ * @param {Number} dy - vertical distance between neighbouring cells
+ * @returns {{u: Number, v: Number}[]}
+ */
+export function relativePositions(points, dx, dy) {
+	const xs = points.map((p) => p.x);
+	const ys = points.map((p) => p.y);
+	const xmin = Math.min(...xs);
+	const xmax = Math.max(...xs);
+	const ymin = Math.min(...ys);
+	const ymax = Math.max(...ys);
+	// cell edges, not centers, are at -1 and 1
+	const halfWidth = (xmax - xmin + dx) / 2;
+	const halfHeight = (ymax - ymin + dy) / 2;
+	return points.map(({ x, y }) => ({
+		u: (x - (xmin + xmax) / 2) / halfWidth,
+		v: (y - (ymin + ymax) / 2) / halfHeight
+	}));
+}
@@ -1,5 +1,6 @@
 import { RegularPolygonTile } from '$lib/puzzle/grids/polygonutils';
 import { AbstractGrid } from '$lib/puzzle/grids/abstractgrid';
+import { isInShape, relativePositions } from '$lib/puzzle/grids/shapes';
 
 const EAST = 1;
 const NORTH = 2;
@@ -29,6 +30,8 @@ export class SquareGrid extends AbstractGrid {
 	]);
 	NUM_DIRECTIONS = 4;
 	KIND = 'square';
+	/** @type {import('$lib/puzzle/grids/abstractgrid').Symmetry[]} */
+	SYMMETRIES = ['rotate2', 'rotate4', 'mirror'];
 	PIPE_WIDTH = 0.15;
 	STROKE_WIDTH = 0.06;
 	PIPE_LENGTH = 0.5;
@@ -166,4 +169,42 @@ export class SquareGrid extends AbstractGrid {
 		}
 		return visibleTiles;
 	}
+
+	/**
+	 * Shape the playing field by making some tiles empty
+	 * @param {import('$lib/puzzle/grids/shapes').RectangularShape} shape
+	 */
+	useShape(shape) {
+		if (shape === 'half-wrap-horizontal') {
+			// an empty row breaks vertical wrapping
+			for (let c = 0; c < this.width; c++) {
+				this.makeEmpty(c);
+			}
+			this.YMIN = 0;
+			this.YMAX = this.height;
+		} else if (shape === 'half-wrap-vertical') {
+			for (let r = 0; r < this.height; r++) {
+				this.makeEmpty(this.width * r);
+			}
+			this.XMIN = 0.4;
+			this.XMAX = this.width - 0.4;
+		} else {
+			/** @type {Set<Number>} */
+			const emptyCells = new Set(this.emptyCells);
+			const points = [...Array(this.total).keys()].map((index) => ({
+				x: index % this.width,
+				y: Math.floor(index / this.width)
+			}));
+			relativePositions(points, 1, 1).forEach(({ u, v }, index) => {
+				if (!isInShape(shape, u, v)) {
+					this.makeEmpty(index);
+				}
+			});
+			if (shape === 'donut' && !this.isConnected()) {
+				// the ring falls apart on small boards, keep the whole diamond then
+				this.emptyCells = emptyCells;
+				this.useShape('diamond');
+			}
+		}
+	}
 }
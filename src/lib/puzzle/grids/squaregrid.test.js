@@ -145,6 +145,132 @@ describe('Test find neighbour', () => {
 	});
 });
 
+describe('Test board connectivity', () => {
+	it('Reports a full board as connected', () => {
+		expect(new SquareGrid(3, 3, false).isConnected()).toBe(true);
+	});
+
+	it('Reports a board split by empty cells as not connected', () => {
+		const grid = new SquareGrid(3, 3, false);
+		[1, 4, 7].forEach((index) => grid.makeEmpty(index));
+		expect(grid.isConnected()).toBe(false);
+	});
+
+	it('Reports a split board as connected if it wraps', () => {
+		const grid = new SquareGrid(3, 3, true);
+		[1, 4, 7].forEach((index) => grid.makeEmpty(index));
+		expect(grid.isConnected()).toBe(true);
+	});
+});
+
+describe('Test board shapes', () => {
+	it('Diamond', () => {
+		const grid = new SquareGrid(7, 7, false);
+		grid.useShape('diamond');
+		expect(grid.emptyCells.size).toBe(24);
+		expect([...grid.emptyCells]).toEqual(expect.arrayContaining([0, 1, 2, 4, 5, 6, 7, 8, 12, 13]));
+		expect(grid.emptyCells.has(3)).toBe(false);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Cross', () => {
+		const grid = new SquareGrid(7, 7, false);
+		grid.useShape('cross');
+		expect(grid.emptyCells.size).toBe(16);
+		expect([...grid.emptyCells]).toEqual(expect.arrayContaining([0, 1, 7, 8, 5, 6, 12, 13]));
+		expect(grid.emptyCells.has(2)).toBe(false);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Hole', () => {
+		const grid = new SquareGrid(7, 7, false);
+		grid.useShape('hole');
+		expect([...grid.emptyCells].sort((a, b) => a - b)).toEqual([
+			16, 17, 18, 23, 24, 25, 30, 31, 32
+		]);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Donut', () => {
+		const grid = new SquareGrid(7, 7, false);
+		grid.useShape('donut');
+		expect(grid.emptyCells.size).toBe(29);
+		expect([...grid.emptyCells]).toEqual(expect.arrayContaining([0, 17, 23, 24, 25, 31]));
+		expect(grid.emptyCells.has(10)).toBe(false);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Donut on a small board keeps the whole diamond', () => {
+		const grid = new SquareGrid(3, 3, false);
+		grid.useShape('donut');
+		expect([...grid.emptyCells].sort((a, b) => a - b)).toEqual([0, 2, 6, 8]);
+	});
+
+	it('Half wrap horizontal', () => {
+		const grid = new SquareGrid(5, 4, true);
+		grid.useShape('half-wrap-horizontal');
+		expect([...grid.emptyCells].sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4]);
+		expect(grid.find_neighbour(6, 8)).toEqual({ neighbour: 11, empty: false });
+		expect(grid.find_neighbour(6, 2).empty).toBe(true);
+		expect(grid.YMIN).toBe(0);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Half wrap vertical', () => {
+		const grid = new SquareGrid(5, 4, true);
+		grid.useShape('half-wrap-vertical');
+		expect([...grid.emptyCells].sort((a, b) => a - b)).toEqual([0, 5, 10, 15]);
+		expect(grid.find_neighbour(4, 1).empty).toBe(true);
+		expect(grid.XMIN).toBeCloseTo(0.4);
+		expect(grid.isConnected()).toBe(true);
+	});
+});
+
+describe('Test wrap copies', () => {
+	it('Tells copies across the seams from tiles on the board', () => {
+		const grid = new SquareGrid(3, 3, true);
+		const visible = grid.getVisibleTiles({ xmin: -1.5, ymin: -1.5, width: 6, height: 6 });
+		const onBoard = visible.filter((tile) => !grid.isWrapCopy(tile));
+		expect(onBoard.map((tile) => tile.index).sort()).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+		for (let tile of onBoard) {
+			expect(tile.x).toBe(tile.index % 3);
+			expect(tile.y).toBe(Math.floor(tile.index / 3));
+		}
+	});
+
+	it('Has no copies without wrap', () => {
+		const grid = new SquareGrid(3, 3, false);
+		const visible = grid.getVisibleTiles({ xmin: -1.5, ymin: -1.5, width: 6, height: 6 });
+		expect(visible.some((tile) => grid.isWrapCopy(tile))).toBe(false);
+	});
+});
+
+describe('Test symmetry maps', () => {
+	it('Turns the board a quarter turn', () => {
+		const grid = new SquareGrid(3, 3, false);
+		const maps = grid.getSymmetryMaps('rotate4');
+		expect(maps?.length).toBe(3);
+		const [quarter] = maps || [];
+		// the corners go around, the center stays
+		expect([0, 2, 8, 6].map((i) => quarter.tiles[i])).toEqual([2, 8, 6, 0]);
+		expect(quarter.tiles[4]).toBe(4);
+		const { neighbour } = grid.find_neighbour(0, 1);
+		const imageDirection = quarter.directions[0].get(1) || 0;
+		expect(grid.find_neighbour(quarter.tiles[0], imageDirection).neighbour).toBe(
+			quarter.tiles[neighbour]
+		);
+	});
+
+	it('Has no quarter turn symmetry on a rectangle', () => {
+		expect(new SquareGrid(3, 4, false).getSymmetryMaps('rotate4')).toBe(null);
+		expect(new SquareGrid(3, 4, false).getSymmetryMaps('rotate2')).not.toBe(null);
+	});
+
+	it('Has no symmetry with wrap', () => {
+		expect(new SquareGrid(3, 3, true).getSymmetryMaps('mirror')).toBe(null);
+	});
+});
+
 // describe('Test making a cell empty', () => {
 // 	const grid = new HexaGrid(3, 3, false);
 // 	grid.makeEmpty(4);
@@ -0,0 +1,208 @@
+import { RegularPolygonTile } from '$lib/puzzle/grids/polygonutils';
+import { AbstractGrid } from '$lib/puzzle/grids/abstractgrid';
+
+const EAST = 1;
+const NORTH = 2;
+const WEST = 4;
+const SOUTH = 8;
+
+const YSTEP = Math.sqrt(3) / 2;
+const TRIANGLE_RADIUS_IN = Math.sqrt(3) / 6;
+
+const UPTRIANGLE = new RegularPolygonTile(3, Math.PI / 6, TRIANGLE_RADIUS_IN, [1, 4, 8]);
+const DOWNTRIANGLE = new RegularPolygonTile(3, -Math.PI / 6, TRIANGLE_RADIUS_IN, [1, 2, 4]);
+
+/**
+ * Triangular grid
+ * Each row has 2 * width triangles pointing up and down in turn,
+ * triangle at row r column c points up when r + c is even.
+ * Wrapping boards with an odd height are glued with a shift of one triangle
+ * so that up triangles always meet down triangles.
+ * @extends AbstractGrid
+ */
+export class TriangularGrid extends AbstractGrid {
+	DIRECTIONS = [EAST, NORTH, WEST, SOUTH];
+	EDGEMARK_DIRECTIONS = [NORTH, WEST];
+	OPPOSITE = new Map([
+		[NORTH, SOUTH],
+		[SOUTH, NORTH],
+		[EAST, WEST],
+		[WEST, EAST]
+	]);
+	NUM_DIRECTIONS = 3;
+	KIND = 'triangular';
+	PIPE_WIDTH = 0.15;
+	STROKE_WIDTH = 0.06;
+	PIPE_LENGTH = 0.5;
+	SINK_RADIUS = 0.2;
+
+	/**
+	 *
+	 * @param {Number} width
+	 * @param {Number} height
+	 * @param {Boolean} wrap
+	 * @param {Number[]} tiles
+	 */
+	constructor(width, height, wrap, tiles = []) {
+		super(width, height, wrap, tiles);
+		this.rowLength = 2 * width;
+		this.total = this.rowLength * height;
+
+		this.XMIN = -0.6 - (wrap ? 1 : 0);
+		this.XMAX = width + 0.1 + (wrap ? 1 : 0);
+		this.YMIN = -YSTEP * (0.5 + (wrap ? 1 : 0)) - 0.1;
+		this.YMAX = YSTEP * (height - 0.5 + (wrap ? 1 : 0)) + 0.1;
+	}
+
+	/**
+	 * Get index of tile located at row r column c
+	 * @param {Number} r
+	 * @param {Number} c
+	 * @returns {Number}
+	 */
+	rc_to_index(r, c) {
+		if (this.wrap) {
+			const copies = Math.floor(r / this.height);
+			r -= copies * this.height;
+			c -= copies * (this.height % 2);
+			c = c % this.rowLength;
+			if (c < 0) {
+				c += this.rowLength;
+			}
+		} else {
+			if (r < 0 || r >= this.height) {
+				return -1;
+			} else if (c < 0 || c >= this.rowLength) {
+				return -1;
+			}
+		}
+		return this.rowLength * r + c;
+	}
+
+	/**
+	 * Center of the triangle at row r column c
+	 * @param {Number} r
+	 * @param {Number} c
+	 * @returns {{x: Number, y: Number}}
+	 */
+	rc_to_xy(r, c) {
+		const up = (r + c) % 2 === 0;
+		return {
+			x: c * 0.5,
+			y: r * YSTEP + (up ? 1 : -1) * (YSTEP / 2 - TRIANGLE_RADIUS_IN)
+		};
+	}
+
+	/**
+	 * Determines which tile a point at (x, y) belongs to
+	 * Returns tile index and tile center coordinates
+	 * If the point is over empty space then tileIndex is -1
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @returns {{index: Number, x:Number, y: Number}}
+	 */
+	which_tile_at(x, y) {
+		const r = Math.round(y / YSTEP);
+		// the point is in one of the two triangles with the closest centers
+		const c0 = Math.floor(x / 0.5);
+		let best = { r, c: c0, distance: Number.POSITIVE_INFINITY };
+		for (let c of [c0, c0 + 1]) {
+			const center = this.rc_to_xy(r, c);
+			const polygon = (r + c) % 2 === 0 ? UPTRIANGLE : DOWNTRIANGLE;
+			// distance to the farthest edge line, it is under the inner radius only inside the triangle
+			let distance = Number.NEGATIVE_INFINITY;
+			for (let i = 0; i < 3; i++) {
+				const angle = polygon.angle_offset + i * polygon.angle_unit;
+				const projection = (x - center.x) * Math.cos(angle) - (y - center.y) * Math.sin(angle);
+				distance = Math.max(distance, projection);
+			}
+			if (distance < best.distance) {
+				best = { r, c, distance };
+			}
+		}
+		const { x: x0, y: y0 } = this.rc_to_xy(best.r, best.c);
+		let index = this.rc_to_index(best.r, best.c);
+		if (this.emptyCells.has(index)) {
+			index = -1;
+		}
+		return { index, x: x0, y: y0 };
+	}
+
+	/**
+	 * @param {Number} index
+	 * @param {Number} direction
+	 * @returns {{neighbour: Number, empty: boolean}} - neighbour index, is the neighbour an empty cell or outside the board
+	 */
+	find_neighbour(index, direction) {
+		const c = index % this.rowLength;
+		const r = (index - c) / this.rowLength;
+		const up = (r + c) % 2 === 0;
+		let neighbour = -1;
+		if (direction === EAST) {
+			neighbour = this.rc_to_index(r, c + 1);
+		} else if (direction === WEST) {
+			neighbour = this.rc_to_index(r, c - 1);
+		} else if (direction === SOUTH && up) {
+			neighbour = this.rc_to_index(r + 1, c);
+		} else if (direction === NORTH && !up) {
+			neighbour = this.rc_to_index(r - 1, c);
+		}
+		const empty = neighbour === -1 || this.emptyCells.has(neighbour);
+		return { neighbour, empty };
+	}
+
+	/**
+	 * @param {Number} index
+	 * @returns {RegularPolygonTile}
+	 */
+	polygon_at(index) {
+		const c = index % this.rowLength;
+		const r = (index - c) / this.rowLength;
+		return (r + c) % 2 === 0 ? UPTRIANGLE : DOWNTRIANGLE;
+	}
+
+	/**
+	 * Get CSS transform function parameters for this tile
+	 * @param {Number} index
+	 */
+	getTileTransformCSS(index) {
+		return null;
+	}
+
+	/**
+	 * @param {import('$lib/puzzle/viewbox').ViewBox} box
+	 * @returns {import('$lib/puzzle/viewbox').VisibleTile[]}
+	 */
+	getVisibleTiles(box) {
+		let rmin = Math.floor(box.ymin / YSTEP) - 1;
+		let rmax = Math.ceil((box.ymin + box.height) / YSTEP) + 1;
+		if (!this.wrap) {
+			rmin = Math.max(0, rmin);
+			rmax = Math.min(this.height - 1, rmax);
+		}
+		let cmin = Math.floor(box.xmin / 0.5) - 1;
+		let cmax = Math.ceil((box.xmin + box.width) / 0.5) + 1;
+		if (!this.wrap) {
+			cmin = Math.max(0, cmin);
+			cmax = Math.min(this.rowLength - 1, cmax);
+		}
+		const visibleTiles = [];
+		for (let r = rmin; r <= rmax; r++) {
+			for (let c = cmin; c <= cmax; c++) {
+				const index = this.rc_to_index(r, c);
+				if (index === -1 || this.emptyCells.has(index)) {
+					continue;
+				}
+				const { x, y } = this.rc_to_xy(r, c);
+				const key = `${r}_${c}`;
+				visibleTiles.push({
+					index,
+					x,
+					y,
+					key
+				});
+			}
+		}
+		return visibleTiles;
+	}
+}
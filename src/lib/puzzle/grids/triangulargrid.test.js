@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { TriangularGrid } from './triangulargrid';
+
+describe('Test find neighbour', () => {
+	it('Find neighbours in a regular puzzle', () => {
+		const grid = new TriangularGrid(3, 3, false);
+		const expected = new Map([
+			// up triangles
+			[0, [1, -1, 6]],
+			[7, [8, 6, 13]],
+			[14, [15, 13, -1]],
+			// down triangles
+			[1, [2, -1, 0]],
+			[6, [7, 0, -1]],
+			[8, [9, 2, 7]]
+		]);
+		for (let [index, neighbours] of expected.entries()) {
+			const polygon = grid.polygon_at(index);
+			for (let i = 0; i < polygon.directions.length; i++) {
+				const neighbourExpected = neighbours[i];
+				const direction = polygon.directions[i];
+				const { neighbour, empty } = grid.find_neighbour(index, direction);
+				const msg = `Index ${index}, direction ${direction} => neighbour ${neighbour} empty ${empty}`;
+				expect(empty, msg).toBe(neighbourExpected === -1 || grid.emptyCells.has(neighbour));
+				expect(neighbour, msg).toBe(neighbourExpected);
+			}
+		}
+	});
+
+	it('Find neighbours in a wrap puzzle', () => {
+		const grid = new TriangularGrid(3, 4, true);
+		const expected = new Map([
+			[0, [1, 5, 6]],
+			[18, [19, 12, 23]],
+			[5, [0, 23, 4]]
+		]);
+		for (let [index, neighbours] of expected.entries()) {
+			const polygon = grid.polygon_at(index);
+			for (let i = 0; i < polygon.directions.length; i++) {
+				const { neighbour } = grid.find_neighbour(index, polygon.directions[i]);
+				expect(neighbour, `Index ${index}, direction ${polygon.directions[i]}`).toBe(neighbours[i]);
+			}
+		}
+	});
+
+	it('Wrap puzzles with an odd height are glued with a shift', () => {
+		const grid = new TriangularGrid(3, 3, true);
+		// up triangle in the bottom row connects to a down triangle in the top row
+		expect(grid.find_neighbour(12, 8).neighbour).toBe(5);
+		expect(grid.find_neighbour(5, 2).neighbour).toBe(12);
+		for (let index = 0; index < grid.total; index++) {
+			for (let direction of grid.polygon_at(index).directions) {
+				const { neighbour } = grid.find_neighbour(index, direction);
+				const opposite = grid.OPPOSITE.get(direction) || 0;
+				expect(grid.polygon_at(neighbour).directions).toContain(opposite);
+				expect(grid.find_neighbour(neighbour, opposite).neighbour).toBe(index);
+			}
+		}
+	});
+});
+
+describe('Test which_tile_at', () => {
+	it('Get index of tiles, non-wrapping grid', () => {
+		const grid = new TriangularGrid(3, 3, false);
+		const expected = new Map([
+			[[0, 0.1], 0],
+			[[0.25, 0.1], 0],
+			[[0.25, -0.3], 1],
+			[[0.5, -0.1], 1],
+			[[0.1, 0.6], 6],
+			[[0.5, 0.6], 7],
+			[[1, 0.7], 8],
+			[[3.1, 0], -1]
+		]);
+		for (let [xy, index_expected] of expected.entries()) {
+			const index_actual = grid.which_tile_at(xy[0], xy[1]).index;
+			expect(index_actual, `x ${xy[0]} y ${xy[1]}`).toBe(index_expected);
+		}
+	});
+
+	it('Finds tiles at their own centers', () => {
+		const grid = new TriangularGrid(4, 3, true);
+		const box = { xmin: grid.XMIN, ymin: grid.YMIN, width: 6, height: 5 };
+		for (let { index, x, y } of grid.getVisibleTiles(box)) {
+			const tile = grid.which_tile_at(x, y);
+			expect(tile.index).toBe(index);
+			expect(tile.x).toBeCloseTo(x);
+			expect(tile.y).toBeCloseTo(y);
+		}
+	});
+});
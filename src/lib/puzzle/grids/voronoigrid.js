@@ -0,0 +1,266 @@
+import { GraphGrid, MAX_EDGES, centroid } from '$lib/puzzle/grids/graphgrid';
+import { randomSeed, seededRandom } from '$lib/puzzle/random';
+
+/** Lloyd relaxation steps, they even out the sizes of cells */
+const RELAX_STEPS = 3;
+/** Edges shorter than this are collapsed into a vertex, connections through them are hard to see */
+const MIN_EDGE = 0.12;
+/** Vertices of neighbouring cells closer than this are the same vertex */
+const EPSILON = 1e-6;
+/** Relaxation steps to try before giving up on cells with too many edges */
+const MAX_ATTEMPTS = 10;
+
+/**
+ * Part of polygon that is closer to site p than to site q
+ * @param {Number[][]} polygon
+ * @param {Number[]} p
+ * @param {Number[]} q
+ * @returns {Number[][]}
+ */
+function clip(polygon, p, q) {
+	const nx = q[0] - p[0];
+	const ny = q[1] - p[1];
+	const limit = (nx * (p[0] + q[0]) + ny * (p[1] + q[1])) / 2;
+	/** @param {Number[]} point */
+	const side = ([x, y]) => limit - nx * x - ny * y;
+	/** @type {Number[][]} */
+	const clipped = [];
+	polygon.forEach((a, i) => {
+		const b = polygon[(i + 1) % polygon.length];
+		const sa = side(a);
+		const sb = side(b);
+		if (sa >= 0) {
+			clipped.push(a);
+		}
+		if (sa >= 0 !== sb >= 0) {
+			const t = sa / (sa - sb);
+			clipped.push([a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])]);
+		}
+	});
+	return clipped;
+}
+
+/**
+ * Voronoi cells of sites inside a rectangle
+ * @param {Number[][]} sites
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Number[][][]} - polygon of each site
+ */
+function voronoiCells(sites, width, height) {
+	/** @type {Map<String, Number[]>} */
+	const buckets = new Map();
+	sites.forEach(([x, y], i) => {
+		const key = `${Math.floor(x)}_${Math.floor(y)}`;
+		buckets.set(key, [...(buckets.get(key) || []), i]);
+	});
+	return sites.map((site, i) => {
+		let polygon = [
+			[0, 0],
+			[width, 0],
+			[width, height],
+			[0, height]
+		];
+		const bx = Math.floor(site[0]);
+		const by = Math.floor(site[1]);
+		// sites of ring k of buckets around this one are at least k - 1 away,
+		// they can't cut the cell once it fits in a circle of radius (k - 1) / 2
+		for (let k = 0; k <= Math.max(width, height); k++) {
+			const radius = Math.max(...polygon.map(([x, y]) => Math.hypot(x - site[0], y - site[1])));
+			if (k - 1 >= 2 * radius) {
+				break;
+			}
+			for (let dx = -k; dx <= k; dx++) {
+				for (let dy = -k; dy <= k; dy++) {
+					if (Math.max(Math.abs(dx), Math.abs(dy)) !== k) {
+						continue;
+					}
+					for (let j of buckets.get(`${bx + dx}_${by + dy}`) || []) {
+						if (j !== i) {
+							polygon = clip(polygon, site, sites[j]);
+						}
+					}
+				}
+			}
+		}
+		return polygon;
+	});
+}
+
+/**
+ * Turns polygons into cells of a graph description
+ * Vertices shared by neighbouring polygons are merged, and so are both ends of short edges.
+ * @param {Number[][][]} polygons
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {import('$lib/puzzle/grids/graphgrid').GraphDescription}
+ */
+function describeCells(polygons, width, height) {
+	const points = polygons.flat();
+	const parent = points.map((_, i) => i);
+	/** @param {Number} i */
+	const find = (i) => {
+		while (parent[i] !== i) {
+			parent[i] = parent[parent[i]];
+			i = parent[i];
+		}
+		return i;
+	};
+	/**
+	 * @param {Number} i
+	 * @param {Number} j
+	 */
+	const union = (i, j) => {
+		parent[find(i)] = find(j);
+	};
+
+	/** @type {Map<String, Number[]>} */
+	const buckets = new Map();
+	points.forEach(([x, y], i) => {
+		const bx = Math.round(x / (4 * EPSILON));
+		const by = Math.round(y / (4 * EPSILON));
+		for (let dx = -1; dx <= 1; dx++) {
+			for (let dy = -1; dy <= 1; dy++) {
+				for (let j of buckets.get(`${bx + dx}_${by + dy}`) || []) {
+					if (Math.hypot(x - points[j][0], y - points[j][1]) < EPSILON) {
+						union(i, j);
+					}
+				}
+			}
+		}
+		const key = `${bx}_${by}`;
+		buckets.set(key, [...(buckets.get(key) || []), i]);
+	});
+
+	/** @type {Number[][]} - indices of points of each polygon */
+	const polygonPoints = [];
+	let offset = 0;
+	for (let polygon of polygons) {
+		polygonPoints.push(polygon.map((_, j) => offset + j));
+		offset += polygon.length;
+	}
+	const onBorder = points.map(
+		([x, y]) =>
+			Math.min(Math.abs(x), Math.abs(y), Math.abs(x - width), Math.abs(y - height)) < EPSILON
+	);
+	for (let indices of polygonPoints) {
+		indices.forEach((i, j) => {
+			const k = indices[(j + 1) % indices.length];
+			const [x1, y1] = points[i];
+			const [x2, y2] = points[k];
+			// keep the outline of the board straight
+			if (Math.hypot(x2 - x1, y2 - y1) < MIN_EDGE && !(onBorder[i] && onBorder[k])) {
+				union(i, k);
+			}
+		});
+	}
+
+	/** @type {Map<Number, Number[][]>} - merged vertex => points in it */
+	const groups = new Map();
+	points.forEach((point, i) => {
+		const root = find(i);
+		groups.set(root, [...(groups.get(root) || []), point]);
+	});
+	/** @type {Map<Number, Number[]>} */
+	const positions = new Map();
+	groups.forEach((group, root) => {
+		const border = group.find(
+			([x, y]) =>
+				Math.min(Math.abs(x), Math.abs(y), Math.abs(x - width), Math.abs(y - height)) < EPSILON
+		);
+		positions.set(
+			root,
+			border || [0, 1].map((k) => group.reduce((sum, p) => sum + p[k], 0) / group.length)
+		);
+	});
+
+	const cellVertices = polygonPoints.map((indices) =>
+		indices.map(find).filter((root, j, roots) => root !== roots[(j + 1) % roots.length])
+	);
+	/** @type {Map<String, Number[][]>} - edge => [cell, edge of the cell] for cells along it */
+	const edges = new Map();
+	/**
+	 * @param {Number[]} roots
+	 * @param {Number} j
+	 */
+	const edgeKey = (roots, j) =>
+		[roots[j], roots[(j + 1) % roots.length]].sort((a, b) => a - b).join('_');
+	cellVertices.forEach((roots, i) => {
+		roots.forEach((_, j) => {
+			const key = edgeKey(roots, j);
+			edges.set(key, [...(edges.get(key) || []), [i, j]]);
+		});
+	});
+	return {
+		cells: cellVertices.map((roots, i) => ({
+			vertices: roots.map((root) => positions.get(root) || [0, 0]),
+			neighbours: roots.map(
+				(_, j) => (edges.get(edgeKey(roots, j)) || []).find(([cell]) => cell !== i) || null
+			)
+		}))
+	};
+}
+
+/**
+ * Voronoi cells of random points in a width x height rectangle, about one point per unit square
+ * Points are relaxed until every cell has from 3 to 8 edges.
+ * @param {Number} width
+ * @param {Number} height
+ * @param {import('$lib/puzzle/random').RNG} random
+ * @returns {import('$lib/puzzle/grids/graphgrid').GraphDescription}
+ */
+export function voronoiGraph(width, height, random) {
+	/** @type {Number[][]} */
+	let sites = [];
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			sites.push([x + random(), y + random()]);
+		}
+	}
+	let polygons = voronoiCells(sites, width, height);
+	for (let step = 0; step < RELAX_STEPS + MAX_ATTEMPTS; step++) {
+		if (step >= RELAX_STEPS) {
+			const graph = describeCells(polygons, width, height);
+			if (
+				graph.cells.every(({ vertices }) => vertices.length >= 3 && vertices.length <= MAX_EDGES)
+			) {
+				return graph;
+			}
+		}
+		sites = polygons.map(centroid);
+		polygons = voronoiCells(sites, width, height);
+	}
+	throw `Could not make a Voronoi grid of size ${width}x${height}`;
+}
+
+/**
+ * Grid of Voronoi cells with 3 to 8 edges each
+ * Points are random, the seed is kept with the puzzle so that it loads with the same cells.
+ * @extends GraphGrid
+ */
+export class VoronoiGrid extends GraphGrid {
+	KIND = 'voronoi';
+
+	/**
+	 *
+	 * @param {Number} width
+	 * @param {Number} height
+	 * @param {Boolean} wrap - ignored, the cells don't repeat
+	 * @param {Number[]} tiles
+	 * @param {Number} seed - seed of the random points, new cells every time by default
+	 */
+	constructor(width, height, wrap, tiles = [], seed = randomSeed()) {
+		super(voronoiGraph(width, height, seededRandom(seed)), tiles);
+		this.width = width;
+		this.height = height;
+		this.seed = seed;
+	}
+
+	/**
+	 * Exports the grid's data, cells are made again from the size and the seed
+	 */
+	export() {
+		const { graph, ...data } = super.export();
+		return { ...data, seed: this.seed };
+	}
+}
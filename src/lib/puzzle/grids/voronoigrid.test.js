@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { VoronoiGrid } from './voronoigrid';
+import { createGrid } from './grids';
+import { Generator } from '../generator';
+import { Solver } from '../solver';
+import { seededRandom } from '../random';
+
+describe('Test Voronoi cells', () => {
+	const grid = new VoronoiGrid(10, 7, false, [], 1);
+
+	it('Makes the same cells for the same seed', () => {
+		const other = new VoronoiGrid(10, 7, false, [], 1);
+		expect(other.graph).toEqual(grid.graph);
+		expect(new VoronoiGrid(10, 7, false, [], 2).graph).not.toEqual(grid.graph);
+		expect(new VoronoiGrid(7, 10, false, [], 1).graph).not.toEqual(grid.graph);
+	});
+
+	it('Makes a cell for every point', () => {
+		expect(grid.total).toBe(70);
+		expect(grid.isConnected()).toBe(true);
+	});
+
+	it('Makes cells with 3 to 8 edges', () => {
+		const sides = grid.graph.cells.map((cell) => cell.vertices.length);
+		expect(Math.min(...sides)).toBeGreaterThanOrEqual(3);
+		expect(Math.max(...sides)).toBeLessThanOrEqual(8);
+		expect(new Set(sides).size).toBeGreaterThan(1);
+	});
+
+	it('Connects neighbours both ways', () => {
+		for (let index = 0; index < grid.total; index++) {
+			for (let direction of grid.polygon_at(index).directions) {
+				const { neighbour, empty } = grid.find_neighbour(index, direction);
+				if (!empty) {
+					const opposite = grid.OPPOSITE.get(direction) || 0;
+					expect(grid.find_neighbour(neighbour, opposite).neighbour).toBe(index);
+				}
+			}
+		}
+	});
+
+	it('Is made again from exported data', () => {
+		const seeded = new VoronoiGrid(10, 7, false, [], 12345);
+		const data = seeded.export();
+		expect(data).not.toHaveProperty('graph');
+		expect(data.seed).toBe(12345);
+		const copy = createGrid('voronoi', data.width, data.height, data.wrap, data.tiles, data.seed);
+		expect(copy.export()).toEqual(data);
+		expect(copy.DIRECTIONS).toEqual(seeded.DIRECTIONS);
+	});
+});
+
+describe('Test solving', () => {
+	it('Generates and solves a unique puzzle', () => {
+		const grid = new VoronoiGrid(8, 8, false, [], 7);
+		const gen = new Generator(grid);
+		gen.random = seededRandom(7);
+		const tiles = gen.generate(0.6, 0, 0, 'unique');
+		const solver = new Solver(tiles, grid);
+		const { solvable } = solver.markAmbiguousTiles();
+		expect(solvable).toBe(true);
+		expect(solver.unsolved.size).toBe(0);
+	});
+});
@@ -0,0 +1,52 @@
+/**
+ * Numbered puzzles are stored as static files:
+ * /_instances/<category>/<W>x<H>/<folder>/<id>.json with 100 puzzles per folder.
+ * Every category folder has an index.json manifest with puzzle counts for each size.
+ */
+
+/**
+ * @typedef {Object} InstancesIndex
+ * @property {Object<String, Number>} sizes - number of puzzles for each size like "7x7"
+ */
+
+/**
+ * Folder number of a puzzle
+ * @param {Number} id - puzzle id, starts from 1
+ * @returns {Number}
+ */
+export function instanceFolder(id) {
+	return Math.floor((id - 1) / 100);
+}
+
+/**
+ * @param {import('$lib/puzzle/grids/grids').GridCategory} category
+ * @param {String} size - like "7x7"
+ * @param {Number} id
+ * @returns {String}
+ */
+export function instanceUrl(category, size, id) {
+	return `/_instances/${category}/${size}/${instanceFolder(id)}/${id}.json`;
+}
+
+/**
+ * @param {import('$lib/puzzle/grids/grids').GridCategory} category
+ * @returns {String}
+ */
+export function indexUrl(category) {
+	return `/_instances/${category}/index.json`;
+}
+
+/**
+ * Load the manifest of numbered puzzles for a category
+ * Categories without numbered puzzles get an empty index
+ * @param {typeof fetch} fetch
+ * @param {import('$lib/puzzle/grids/grids').GridCategory} category
+ * @returns {Promise<InstancesIndex>}
+ */
+export async function loadIndex(fetch, category) {
+	const response = await fetch(indexUrl(category));
+	if (!response.ok) {
+		return { sizes: {} };
+	}
+	return await response.json();
+}
@@ -0,0 +1,151 @@
+import { Solver } from '$lib/puzzle/solver';
+import { createGrid } from '$lib/puzzle/grids/grids';
+
+/**
+ * Tiny scripted puzzle that teaches one solving technique
+ * @typedef {Object} Lesson
+ * @property {String} title
+ * @property {String[]} text - paragraphs shown above the puzzle
+ * @property {import('$lib/puzzle/grids/grids').GridKind} kind
+ * @property {Number} width
+ * @property {Number} height
+ * @property {Boolean} wrap
+ * @property {Number[]} tiles - tiles in their solved orientation
+ * @property {Number[]} givens - tiles that are shown solved, the player does the rest
+ * @property {import('$lib/puzzle/solver').Reason} technique - rule that solves the player's tiles
+ */
+
+/**
+ * Verdict on a tile that the player locked
+ * correct: the tile follows from the other locked tiles and it is right
+ * wrong: the tile follows from the other locked tiles and it is wrong
+ * contradiction: some of the other locked tiles are wrong, lessons have a unique solution to compare with
+ * @typedef {Object} MoveCheck
+ * @property {'correct'|'wrong'|'contradiction'} verdict
+ * @property {import('$lib/puzzle/solver').Reason|null} reason - rule that solves the tile
+ */
+
+/** @type {Lesson[]} */
+export const lessons = [
+	{
+		title: 'Borders',
+		text: [
+			'Pipes can not lead outside the board. Tiles along the border often fit only one way, especially in the corners.',
+			'Rotate the tiles along the border so that no pipe points outside. Lock each tile (right click or long tap) once you are sure of it. Blue-grey tiles are given and already in place.'
+		],
+		kind: 'hexagonal',
+		width: 3,
+		height: 3,
+		wrap: false,
+		tiles: [33, 9, 8, 21, 8, 16, 3, 9, 10],
+		givens: [2, 3, 4, 5],
+		technique: 'border'
+	},
+	{
+		title: 'Walls and connections',
+		text: [
+			'Every edge of a locked tile is known: either a pipe goes through it or it is a wall. The neighbour across that edge has to agree.',
+			'Look at the edges that the blue-grey tiles share with the others. Often only one orientation matches all of them.'
+		],
+		kind: 'hexagonal',
+		width: 3,
+		height: 3,
+		wrap: false,
+		tiles: [33, 9, 8, 20, 1, 24, 3, 9, 10],
+		givens: [0, 1, 5, 6, 7, 8],
+		technique: 'propagation'
+	},
+	{
+		title: 'Avoiding loops',
+		text: [
+			'The solved network has no loops: there is exactly one path between any two tiles.',
+			'If an orientation would close a ring of pipes, it is not the right one.'
+		],
+		kind: 'hexagonal',
+		width: 3,
+		height: 3,
+		wrap: false,
+		tiles: [33, 41, 8, 36, 5, 24, 1, 12, 2],
+		givens: [0, 1, 2, 4, 6, 8],
+		technique: 'loop'
+	},
+	{
+		title: 'Wrap seams',
+		text: [
+			'In wrap puzzles the pipes may cross the border and come back on the other side of the board. The left edge is joined with the right one and the top edge with the bottom one.',
+			'There are no outer walls to start from, but the other rules still apply across the seam. Check the neighbours on the opposite side of the board.'
+		],
+		kind: 'hexagonal',
+		width: 3,
+		height: 3,
+		wrap: true,
+		tiles: [33, 42, 4, 36, 4, 32, 5, 12, 48],
+		givens: [0, 1, 3, 4, 7],
+		technique: 'propagation'
+	},
+	{
+		title: 'Avoiding islands',
+		text: [
+			'All tiles join into a single network. Two dead ends connected to each other would make an island cut off from the rest.',
+			'A tile that could only connect to dead ends would be cut off as well, so it must point somewhere else. This board wraps too, look for the tile that has to avoid the two given dead ends.'
+		],
+		kind: 'hexagonal',
+		width: 3,
+		height: 3,
+		wrap: true,
+		tiles: [3, 40, 32, 24, 4, 5, 10, 17, 9],
+		givens: [2, 4],
+		technique: 'island'
+	}
+];
+
+/**
+ * Board of a lesson
+ * @param {Lesson} lesson
+ * @returns {import('$lib/puzzle/grids/abstractgrid').AbstractGrid}
+ */
+export function lessonGrid(lesson) {
+	return createGrid(lesson.kind, lesson.width, lesson.height, lesson.wrap);
+}
+
+/**
+ * Tiles of a lesson as the player first sees them, the player's tiles are turned one step away
+ * @param {Lesson} lesson
+ * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @returns {Number[]}
+ */
+export function lessonStartTiles(lesson, grid) {
+	return lesson.tiles.map((tile, index) =>
+		lesson.givens.includes(index) ? tile : grid.rotate(tile, 1, index)
+	);
+}
+
+/**
+ * Check a tile that the player locked against what the solver deduces from the other locked tiles
+ * @param {Lesson} lesson
+ * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @param {Map<Number, Number>} locked - tile index => orientation of the player's locked tiles
+ * @param {Number} index - the tile that was just locked
+ * @returns {MoveCheck}
+ */
+export function checkMove(lesson, grid, locked, index) {
+	const known = new Map(locked);
+	known.delete(index);
+	for (let [i, orientation] of known.entries()) {
+		if (orientation !== lesson.tiles[i]) {
+			return { verdict: 'contradiction', reason: null };
+		}
+	}
+	// follow the solver's hints until it gets to this tile
+	while (true) {
+		const hint = new Solver(lesson.tiles, grid, lesson.givens).findHint(known, []);
+		if (hint === null) {
+			throw 'Lesson puzzle can not be solved without guessing';
+		}
+		if (hint.index === index) {
+			const verdict = hint.orientation === locked.get(index) ? 'correct' : 'wrong';
+			return { verdict, reason: hint.reason };
+		}
+		known.set(hint.index, hint.orientation);
+	}
+}
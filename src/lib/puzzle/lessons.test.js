@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { lessons, lessonGrid, lessonStartTiles, checkMove } from './lessons';
+import { Solver } from './solver';
+
+describe('Test lessons', () => {
+	for (let lesson of lessons) {
+		it(`Teaches ${lesson.technique} in lesson ${lesson.title}`, () => {
+			const grid = lessonGrid(lesson);
+			const tiles = lessonStartTiles(lesson, grid);
+			const { marked, unique } = new Solver(tiles, grid, lesson.givens).markAmbiguousTiles();
+			expect(unique).toBe(true);
+			expect(marked).toEqual(lesson.tiles);
+			// the player's first tile needs the technique of the lesson
+			const hint = new Solver(lesson.tiles, grid, lesson.givens).findHint(new Map(), []);
+			expect(hint?.reason).toBe(lesson.technique);
+		});
+	}
+});
+
+describe('Test checking moves', () => {
+	const lesson = lessons[0];
+	const grid = lessonGrid(lesson);
+	const index = lesson.tiles.findIndex((_, i) => !lesson.givens.includes(i));
+
+	it('Accepts a correctly locked tile', () => {
+		const locked = new Map([[index, lesson.tiles[index]]]);
+		expect(checkMove(lesson, grid, locked, index)).toEqual({
+			verdict: 'correct',
+			reason: lesson.technique
+		});
+	});
+
+	it('Rejects a wrongly locked tile', () => {
+		const locked = new Map([[index, grid.rotate(lesson.tiles[index], 1, index)]]);
+		expect(checkMove(lesson, grid, locked, index).verdict).toBe('wrong');
+	});
+
+	it('Notices that other locked tiles are wrong', () => {
+		const other = lesson.tiles.findIndex((_, i) => i !== index && !lesson.givens.includes(i));
+		const locked = new Map([
+			[other, grid.rotate(lesson.tiles[other], 1, other)],
+			[index, lesson.tiles[index]]
+		]);
+		expect(checkMove(lesson, grid, locked, index).verdict).toBe('contradiction');
+	});
+});
@@ -0,0 +1,104 @@
+import { createGrid, gridKinds } from '$lib/puzzle/grids/grids';
+
+/**
+ * Check that every tile is a valid tile for its cell's polygon
+ * Zero tiles are empty cells
+ * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @param {Number[]} tiles
+ * @throws {String} if some tile is invalid
+ */
+export function validateTiles(grid, tiles) {
+	if (grid.total !== tiles.length) {
+		throw `Size mismatch: grid total = ${grid.total}, length of tiles = ${tiles.length}`;
+	}
+	tiles.forEach((tile, index) => {
+		if (tile !== 0 && !grid.polygon_at(index).tileTypes.has(tile)) {
+			throw `Bad tile value at index ${index}: ${tile}`;
+		}
+	});
+}
+
+/**
+ * Check that givens are indices of non-empty tiles
+ * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @param {Number[]} tiles
+ * @param {Number[]} givens
+ * @throws {String} if some given is invalid
+ */
+export function validateGivens(grid, tiles, givens) {
+	givens.forEach((index) => {
+		if (!Number.isInteger(index) || index < 0 || index >= grid.total || tiles[index] === 0) {
+			throw `Bad given tile index: ${index}`;
+		}
+	});
+}
+
+/**
+ * Read a puzzle from a file made by the download button
+ * @param {String} text - file contents
+ * @throws {String} if the file is not a valid puzzle
+ * @returns {{grid: import('$lib/puzzle/grids/abstractgrid').AbstractGrid, tiles: Number[], givens: Number[]}}
+ */
+export function parsePuzzleFile(text) {
+	/** @type {any} */
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		throw 'This file is not a valid JSON file';
+	}
+	if (data === null || typeof data !== 'object') {
+		throw 'This file does not contain a puzzle';
+	}
+	// puzzles downloaded before other grids were added have no grid kind
+	const kind = gridKinds.find((kind) => kind === (data.grid || 'hexagonal'));
+	if (kind === undefined) {
+		throw `Unknown grid kind: "${data.grid}". Expected one of ${gridKinds.join(', ')}`;
+	}
+	// graph grids take their size from the cells, a row of them is one cell high
+	const minSize = kind === 'graph' ? 1 : 2;
+	const width = Number(data.width);
+	if (isNaN(width) || width < minSize || !Number.isInteger(width)) {
+		throw `Invalid value for width: "${data.width}". Expected an integer >= ${minSize}`;
+	}
+	const height = Number(data.height);
+	if (isNaN(height) || height < minSize || !Number.isInteger(height)) {
+		throw `Invalid value for height: "${data.height}". Expected an integer >= ${minSize}`;
+	}
+	const wrap = data.wrap;
+	if (!(wrap === true || wrap === false)) {
+		throw `Bad value for wrap: "${data.wrap}". Expected "true" or "false"`;
+	}
+	if (!Array.isArray(data.tiles)) {
+		throw 'Tiles list not found';
+	}
+	/** @type {Number[]} */
+	const tiles = data.tiles;
+	tiles.forEach((tile, index) => {
+		if (!Number.isInteger(tile)) {
+			throw `Non-integer value found in tiles list at index ${index}: ${tile}`;
+		}
+	});
+	// only grids of random cells have a seed
+	const seed = data.seed;
+	if (kind === 'voronoi' && seed === undefined) {
+		throw 'Seed of the cells not found';
+	}
+	if (!(seed === undefined || (Number.isInteger(seed) && seed >= 0 && seed < 0x100000000))) {
+		throw `Bad value for seed: "${data.seed}". Expected a 32 bit unsigned integer`;
+	}
+	// only graph grids have a description of their cells
+	const graph = data.graph;
+	if (kind === 'graph' && graph === undefined) {
+		throw 'Description of the cells not found';
+	}
+	const grid = createGrid(kind, width, height, wrap, tiles, seed, graph);
+	validateTiles(grid, tiles);
+	// puzzles made unique by regrowing ambiguous areas have no givens
+	const givens = data.givens || [];
+	if (!Array.isArray(givens)) {
+		throw 'Givens must be a list of tile indices';
+	}
+	validateGivens(grid, tiles, givens);
+	return { grid, tiles, givens };
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { parsePuzzleFile } from './puzzlefile';
+import { VoronoiGrid } from './grids/voronoigrid';
+import { Generator } from './generator';
+
+describe('Test puzzle file import', () => {
+	it('Reads a downloaded puzzle', () => {
+		const text = JSON.stringify({
+			grid: 'square',
+			width: 2,
+			height: 2,
+			wrap: false,
+			tiles: [2, 4, 1, 0]
+		});
+		const { grid, tiles } = parsePuzzleFile(text);
+		expect(grid.KIND).toBe('square');
+		expect(grid.wrap).toBe(false);
+		expect(tiles).toEqual([2, 4, 1, 0]);
+		expect([...grid.emptyCells]).toEqual([3]);
+	});
+
+	it('Reads given tiles', () => {
+		const puzzle = { grid: 'square', width: 2, height: 2, wrap: false, tiles: [2, 4, 1, 0] };
+		expect(parsePuzzleFile(JSON.stringify(puzzle)).givens).toEqual([]);
+		expect(parsePuzzleFile(JSON.stringify({ ...puzzle, givens: [0, 2] })).givens).toEqual([0, 2]);
+		expect(() => parsePuzzleFile(JSON.stringify({ ...puzzle, givens: [3] }))).toThrow('given');
+		expect(() => parsePuzzleFile(JSON.stringify({ ...puzzle, givens: 1 }))).toThrow('Givens');
+	});
+
+	it('Reads the seed of random cells', () => {
+		const cells = new VoronoiGrid(3, 3, false, [], 42);
+		const puzzle = { grid: 'voronoi', width: 3, height: 3, wrap: false, seed: 42 };
+		const tiles = new Generator(cells).generate(0.6, 0, 0, 'unique');
+		const { grid } = parsePuzzleFile(JSON.stringify({ ...puzzle, tiles }));
+		expect(grid.seed).toBe(42);
+		expect(grid.export()).toEqual(cells.export());
+		const text = JSON.stringify({ ...puzzle, tiles, seed: -1 });
+		expect(() => parsePuzzleFile(text)).toThrow('seed');
+		const { seed, ...seedless } = puzzle;
+		expect(() => parsePuzzleFile(JSON.stringify({ ...seedless, tiles }))).toThrow('Seed');
+	});
+
+	it('Treats files without grid kind as hexagonal', () => {
+		const text = JSON.stringify({ width: 2, height: 2, wrap: false, tiles: [1, 8, 9, 0] });
+		expect(parsePuzzleFile(text).grid.KIND).toBe('hexagonal');
+	});
+
+	it('Rejects invalid files', () => {
+		const puzzle = { grid: 'square', width: 2, height: 2, wrap: false, tiles: [2, 4, 1, 8] };
+		/** @param {Object} changes */
+		const parse = (changes) => () => parsePuzzleFile(JSON.stringify({ ...puzzle, ...changes }));
+		expect(() => parsePuzzleFile('{"grid": "square",')).toThrow('not a valid JSON');
+		expect(parse({ grid: 'pentagonal' })).toThrow('Unknown grid kind');
+		expect(parse({ width: 1.5 })).toThrow('width');
+		expect(parse({ wrap: 'yes' })).toThrow('wrap');
+		expect(parse({ tiles: [2, 4, 1] })).toThrow('Size mismatch');
+		expect(parse({ tiles: [2, 4, 1, 16] })).toThrow('Bad tile value at index 3');
+		expect(parse({ tiles: [2, 4, 1, 'x'] })).toThrow('Non-integer');
+	});
+});
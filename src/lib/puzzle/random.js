@@ -0,0 +1,44 @@
+/**
+ * A function that returns random numbers in range [0, 1) like Math.random
+ * @callback RNG
+ * @returns {Number}
+ */
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32)
+ * Same seed always produces the same sequence of numbers
+ * @param {Number} seed - 32 bit integer
+ * @returns {RNG}
+ */
+export function seededRandom(seed) {
+	let state = seed >>> 0;
+	return function () {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Turns any string into a 32 bit seed (FNV-1a hash)
+ * @param {String} str
+ * @returns {Number}
+ */
+export function hashSeed(str) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < str.length; i++) {
+		hash ^= str.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+/**
+ * Picks a new 32 bit seed at random
+ * @returns {Number}
+ */
+export function randomSeed() {
+	return Math.floor(Math.random() * 0x100000000);
+}
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { hashSeed, seededRandom } from './random';
+
+describe('Test seeded random', () => {
+	it('Repeats the sequence for the same seed', () => {
+		const rng1 = seededRandom(hashSeed('hexapipes'));
+		const rng2 = seededRandom(hashSeed('hexapipes'));
+		const rng3 = seededRandom(hashSeed('hexapipes!'));
+		const sequence = [...Array(10)].map(() => rng1());
+		expect([...Array(10)].map(() => rng2())).toEqual(sequence);
+		expect([...Array(10)].map(() => rng3())).not.toEqual(sequence);
+	});
+
+	it('Returns numbers in range [0, 1)', () => {
+		const rng = seededRandom(0);
+		for (let i = 0; i < 1000; i++) {
+			const x = rng();
+			expect(x).toBeGreaterThanOrEqual(0);
+			expect(x).toBeLessThan(1);
+		}
+	});
+});
@@ -0,0 +1,273 @@
+import randomColor from 'randomcolor';
+import { createGrid, gridKinds } from '$lib/puzzle/grids/grids';
+import { validateGivens, validateTiles } from '$lib/puzzle/puzzlefile';
+
+/**
+ * Share links put the puzzle into the URL fragment like this:
+ * #p=<version>.<grid kind>.<width>.<height>.<wrap>.<tiles>[.<progress>][.g~<givens>][.s~<seed>][.c~<cells>]
+ * Tiles are one byte each, progress is two bytes per tile:
+ * rotations and locked state, then 2 bits for every edge mark.
+ * Givens are one bit per tile, set for the tiles that the puzzle reveals.
+ * Cells of graph grids are their description in JSON.
+ * All of them are base64url encoded, except the seed of grids with random cells, a decimal number.
+ * Optional parts after the progress start with a tag, so links without them stay valid.
+ */
+const VERSION = '1';
+const PREFIX = '#p=';
+const GIVENS_TAG = 'g~';
+const SEED_TAG = 's~';
+const CELLS_TAG = 'c~';
+
+/** @type {import('$lib/puzzle/game').EdgeMark[]} */
+const EDGEMARK_CODES = ['empty', 'wall', 'conn', 'none'];
+
+/**
+ * @typedef {Object} SharedPuzzle
+ * @property {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @property {Number[]} tiles
+ * @property {import('$lib/puzzle/game').Progress|undefined} progress
+ * @property {Number[]} givens
+ */
+
+/**
+ * @param {String} binary - string of one byte characters
+ * @returns {String}
+ */
+function binaryToBase64Url(binary) {
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {Number[]} bytes
+ * @returns {String}
+ */
+function toBase64Url(bytes) {
+	return binaryToBase64Url(String.fromCharCode(...bytes));
+}
+
+/**
+ * @param {String} str
+ * @returns {String} - string of one byte characters
+ */
+function binaryFromBase64Url(str) {
+	if (!/^[A-Za-z0-9_-]*$/.test(str)) {
+		throw 'Share link is damaged: unexpected characters';
+	}
+	return atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+/**
+ * @param {String} str
+ * @returns {Number[]}
+ */
+function fromBase64Url(str) {
+	return [...binaryFromBase64Url(str)].map((char) => char.charCodeAt(0));
+}
+
+/**
+ * Encode a puzzle and optionally player's progress into a URL fragment
+ * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @param {Number[]} tiles
+ * @param {import('$lib/puzzle/game').Progress|undefined} progress
+ * @param {Number[]} givens - tiles that are shown in their solved orientation
+ * @returns {String}
+ */
+export function encodePuzzle(grid, tiles, progress = undefined, givens = []) {
+	const parts = [
+		VERSION,
+		grid.KIND,
+		grid.width,
+		grid.height,
+		grid.wrap ? 1 : 0,
+		toBase64Url(tiles)
+	];
+	if (progress !== undefined) {
+		/** @type {Number[]} */
+		const bytes = [];
+		progress.tiles.forEach((tileState, index) => {
+			const numDirections = grid.polygon_at(index).directions.length;
+			const rotations = ((tileState.rotations % numDirections) + numDirections) % numDirections;
+			bytes.push(rotations + (tileState.locked ? 8 : 0));
+			let marks = 0;
+			tileState.edgeMarks.forEach((mark, i) => {
+				marks += Math.max(EDGEMARK_CODES.indexOf(mark), 0) << (2 * i);
+			});
+			bytes.push(marks);
+		});
+		parts.push(toBase64Url(bytes));
+	}
+	if (givens.length > 0) {
+		const bits = Array(Math.ceil(tiles.length / 8)).fill(0);
+		for (let index of givens) {
+			bits[index >> 3] |= 1 << (index & 7);
+		}
+		parts.push(GIVENS_TAG + toBase64Url(bits));
+	}
+	if (grid.seed !== undefined) {
+		parts.push(SEED_TAG + grid.seed);
+	}
+	if (grid.graph !== undefined) {
+		parts.push(CELLS_TAG + binaryToBase64Url(JSON.stringify(grid.graph)));
+	}
+	return PREFIX + parts.join('.');
+}
+
+/**
+ * Give every connected group of tiles its own color
+ * like the game does when tiles get connected
+ * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @param {Number[]} tiles
+ * @param {import('$lib/puzzle/game').SavedTileState[]} tileStates
+ */
+function colorComponents(grid, tiles, tileStates) {
+	/**
+	 * @param {Number} index
+	 * @returns {Number[]} - indices of neighbours that are mutually connected to this tile
+	 */
+	function connectedNeighbours(index) {
+		const connected = [];
+		const directions = grid.getDirections(tiles[index], tileStates[index].rotations, index);
+		for (let direction of directions) {
+			const { neighbour, empty } = grid.find_neighbour(index, direction);
+			if (empty) {
+				continue;
+			}
+			const opposite = grid.OPPOSITE.get(direction);
+			const back = grid.getDirections(tiles[neighbour], tileStates[neighbour].rotations, neighbour);
+			if (opposite !== undefined && back.includes(opposite)) {
+				connected.push(neighbour);
+			}
+		}
+		return connected;
+	}
+
+	const colored = new Set();
+	tileStates.forEach((_, index) => {
+		if (colored.has(index) || connectedNeighbours(index).length === 0) {
+			return;
+		}
+		const color = randomColor({ luminosity: 'light' });
+		const toColor = [index];
+		colored.add(index);
+		while (toColor.length > 0) {
+			const current = toColor.pop() || 0;
+			tileStates[current].color = color;
+			for (let neighbour of connectedNeighbours(current)) {
+				if (!colored.has(neighbour)) {
+					colored.add(neighbour);
+					toColor.push(neighbour);
+				}
+			}
+		}
+	});
+}
+
+/**
+ * Check if a URL fragment looks like a share link
+ * @param {String} hash
+ * @returns {Boolean}
+ */
+export function isSharedPuzzle(hash) {
+	return hash.startsWith(PREFIX);
+}
+
+/**
+ * Recreate a puzzle and progress from a URL fragment
+ * @param {String} hash
+ * @throws {String} if the link is invalid
+ * @returns {SharedPuzzle}
+ */
+export function decodePuzzle(hash) {
+	if (!isSharedPuzzle(hash)) {
+		throw 'Not a share link';
+	}
+	const allParts = hash.slice(PREFIX.length).split('.');
+	if (allParts[0] !== VERSION) {
+		throw `Unsupported share link version: "${allParts[0]}"`;
+	}
+	const tags = [GIVENS_TAG, SEED_TAG, CELLS_TAG];
+	const parts = allParts.filter((part) => !tags.some((tag) => part.startsWith(tag)));
+	const [givensParts, seedParts, cellsParts] = tags.map((tag) =>
+		allParts.filter((part) => part.startsWith(tag))
+	);
+	if (
+		parts.length < 6 ||
+		parts.length > 7 ||
+		[givensParts, seedParts, cellsParts].some((tagged) => tagged.length > 1)
+	) {
+		throw 'Share link is damaged: wrong number of parts';
+	}
+	const [, kind, widthStr, heightStr, wrapStr, tilesStr, progressStr] = parts;
+	const gridKind = gridKinds.find((gridKind) => gridKind === kind);
+	if (gridKind === undefined) {
+		throw `Unknown grid kind: "${kind}"`;
+	}
+	const width = Number(widthStr);
+	const height = Number(heightStr);
+	if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+		throw `Bad grid size: ${widthStr}x${heightStr}`;
+	}
+	if (wrapStr !== '0' && wrapStr !== '1') {
+		throw `Bad value for wrap: "${wrapStr}"`;
+	}
+	const tiles = fromBase64Url(tilesStr);
+	let seed = undefined;
+	if (gridKind === 'voronoi' && seedParts.length === 0) {
+		throw 'Share link is damaged: the seed of the cells is missing';
+	}
+	if (seedParts.length > 0) {
+		const seedStr = seedParts[0].slice(SEED_TAG.length);
+		seed = Number(seedStr);
+		if (!/^[0-9]+$/.test(seedStr) || seed >= 0x100000000) {
+			throw `Bad seed: "${seedStr}"`;
+		}
+	}
+	let graph = undefined;
+	if (gridKind === 'graph' && cellsParts.length === 0) {
+		throw 'Share link is damaged: the cells are missing';
+	}
+	if (cellsParts.length > 0) {
+		try {
+			graph = JSON.parse(binaryFromBase64Url(cellsParts[0].slice(CELLS_TAG.length)));
+		} catch (error) {
+			throw 'Share link is damaged: bad description of the cells';
+		}
+	}
+	const grid = createGrid(gridKind, width, height, wrapStr === '1', tiles, seed, graph);
+	validateTiles(grid, tiles);
+	/** @type {Number[]} */
+	const givens = [];
+	if (givensParts.length > 0) {
+		const bits = fromBase64Url(givensParts[0].slice(GIVENS_TAG.length));
+		if (bits.length !== Math.ceil(tiles.length / 8)) {
+			throw 'Share link is damaged: givens do not match the puzzle';
+		}
+		tiles.forEach((_, index) => {
+			if ((bits[index >> 3] >> (index & 7)) & 1) {
+				givens.push(index);
+			}
+		});
+		validateGivens(grid, tiles, givens);
+	}
+	if (progressStr === undefined) {
+		return { grid, tiles, progress: undefined, givens };
+	}
+	const bytes = fromBase64Url(progressStr);
+	if (bytes.length !== 2 * tiles.length) {
+		throw 'Share link is damaged: progress does not match the puzzle';
+	}
+	/** @type {import('$lib/puzzle/game').SavedTileState[]} */
+	const tileStates = tiles.map((_, index) => {
+		const edgeMarks = grid.EDGEMARK_DIRECTIONS.map(
+			(_, i) => EDGEMARK_CODES[(bytes[2 * index + 1] >> (2 * i)) & 3]
+		);
+		return {
+			rotations: bytes[2 * index] & 7,
+			locked: (bytes[2 * index] & 8) > 0,
+			color: 'white',
+			edgeMarks
+		};
+	});
+	colorComponents(grid, tiles, tileStates);
+	return { grid, tiles, progress: { tiles: tileStates }, givens };
+}
@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import { HexaGrid } from './grids/hexagrid';
+import { OctaGrid } from './grids/octagrid';
+import { SquareGrid } from './grids/squaregrid';
+import { VoronoiGrid } from './grids/voronoigrid';
+import { Generator } from './generator';
+import { decodePuzzle, encodePuzzle } from './share';
+
+describe('Test share links', () => {
+	const tiles = [3, 9, 5, 5, 0, 1, 3, 9, 1];
+	const grid = new HexaGrid(3, 3, true, tiles);
+
+	it('Recreates the puzzle', () => {
+		const hash = encodePuzzle(grid, tiles);
+		expect(hash.startsWith('#p=1.hexagonal.3.3.1.')).toBe(true);
+		const shared = decodePuzzle(hash);
+		expect(shared.tiles).toEqual(tiles);
+		expect(shared.grid.KIND).toBe('hexagonal');
+		expect(shared.grid.wrap).toBe(true);
+		expect([...shared.grid.emptyCells]).toEqual([4]);
+		expect(shared.progress).toBe(undefined);
+	});
+
+	it('Recreates progress', () => {
+		const octaTiles = [32, 64, 192, 18, 68, 66, 5, 200, 128, 130, 168, 0, 40, 8, 0, 0, 0, 0];
+		const octaGrid = new OctaGrid(3, 3, false, octaTiles);
+		/** @type {import('./game').Progress} */
+		const progress = {
+			tiles: octaTiles.map((_, index) => {
+				return {
+					rotations: index === 1 ? -1 : index,
+					color: 'white',
+					locked: index % 3 === 0,
+					edgeMarks:
+						index === 2 ? ['wall', 'conn', 'none', 'wall'] : ['empty', 'empty', 'empty', 'empty']
+				};
+			})
+		};
+		const shared = decodePuzzle(encodePuzzle(octaGrid, octaTiles, progress));
+		expect(shared.tiles).toEqual(octaTiles);
+		const savedTiles = shared.progress?.tiles || [];
+		expect(savedTiles.length).toBe(octaTiles.length);
+		savedTiles.forEach((tileState, index) => {
+			const numDirections = octaGrid.polygon_at(index).directions.length;
+			const expected = (progress.tiles[index].rotations + numDirections) % numDirections;
+			expect(tileState.rotations).toBe(expected);
+			expect(tileState.locked).toBe(progress.tiles[index].locked);
+			expect(tileState.edgeMarks).toEqual(progress.tiles[index].edgeMarks);
+		});
+	});
+
+	it('Colors connected tiles', () => {
+		// tiles 0 and 1 are connected, 2 and 3 are not connected to anything
+		const squareTiles = [1, 4, 2, 2];
+		/** @type {import('./game').Progress} */
+		const progress = {
+			tiles: squareTiles.map(() => {
+				return { rotations: 0, color: 'white', locked: false, edgeMarks: ['empty', 'empty'] };
+			})
+		};
+		const hash = encodePuzzle(new SquareGrid(2, 2, false, squareTiles), squareTiles, progress);
+		const savedTiles = decodePuzzle(hash).progress?.tiles || [];
+		expect(savedTiles[0].color).not.toBe('white');
+		expect(savedTiles[0].color).toBe(savedTiles[1].color);
+		expect(savedTiles[2].color).toBe('white');
+		expect(savedTiles[3].color).toBe('white');
+	});
+
+	it('Recreates givens', () => {
+		const hash = encodePuzzle(grid, tiles, undefined, [0, 8]);
+		expect(decodePuzzle(hash).givens).toEqual([0, 8]);
+		expect(decodePuzzle(encodePuzzle(grid, tiles)).givens).toEqual([]);
+		/** @type {import('./game').Progress} */
+		const progress = {
+			tiles: tiles.map(() => {
+				return {
+					rotations: 1,
+					color: 'white',
+					locked: false,
+					edgeMarks: ['empty', 'empty', 'empty']
+				};
+			})
+		};
+		const shared = decodePuzzle(encodePuzzle(grid, tiles, progress, [3]));
+		expect(shared.givens).toEqual([3]);
+		expect(shared.progress?.tiles[3].rotations).toBe(1);
+		// tile 4 is an empty cell
+		expect(() => decodePuzzle(encodePuzzle(grid, tiles, undefined, [4]))).toThrow();
+	});
+
+	it('Recreates the cells of random grids', () => {
+		const cells = new VoronoiGrid(3, 3, false, [], 42);
+		const cellTiles = new Generator(cells).generate(0.6, 0, 0, 'unique');
+		const hash = encodePuzzle(cells, cellTiles, undefined, [1]);
+		const shared = decodePuzzle(hash);
+		expect(shared.grid.seed).toBe(42);
+		expect(shared.grid.export()).toEqual(cells.export());
+		expect(shared.givens).toEqual([1]);
+		expect(() => decodePuzzle(hash.replace('.s~42', ''))).toThrow('seed');
+		expect(() => decodePuzzle(hash.replace('s~42', 's~-1'))).toThrow('seed');
+		expect(() => decodePuzzle(hash + '.s~7')).toThrow();
+		expect(encodePuzzle(grid, tiles)).not.toContain('s~');
+	});
+
+	it('Rejects invalid links', () => {
+		const hash = encodePuzzle(grid, tiles);
+		expect(() => decodePuzzle('#something')).toThrow();
+		expect(() => decodePuzzle(hash.replace('hexagonal', 'pentagonal'))).toThrow();
+		expect(() => decodePuzzle(hash.replace('.3.3.', '.4.3.'))).toThrow();
+		expect(() => decodePuzzle(hash.replace('#p=1', '#p=9'))).toThrow();
+		expect(() => decodePuzzle(hash + '.AAAA')).toThrow();
+		expect(() => decodePuzzle(hash + '!')).toThrow();
+	});
+});
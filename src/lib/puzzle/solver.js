@@ -38,6 +38,78 @@ function IslandDetectedException() {
  * @property {Boolean} final - true if this orientation is the only one left
  */
 
+/**
+ * Rule that ruled out orientations of a cell
+ * border: pipes can't lead outside the grid or into empty cells
+ * deadend: can't connect only to deadends
+ * pattern: neighbouring tile shapes only fit in certain ways
+ * propagation: walls and connections of neighbours
+ * loop: other orientations would create a loop
+ * island: other orientations would create an island
+ * trial: other orientations quickly lead to a contradiction
+ * symmetric: all orientations of this tile are the same
+ * given: the puzzle shows this tile in its solved orientation
+ * @typedef {'border'|'deadend'|'pattern'|'propagation'|'loop'|'island'|'trial'|'symmetric'|'given'} Reason
+ */
+
+/**
+ * Explanations of the rules for players
+ * @type {Record<Reason, String>}
+ */
+export const reasonMessages = {
+	border: 'Pipes can not lead outside the grid or into empty cells.',
+	deadend: 'Connecting only to dead ends would cut this tile off from the rest.',
+	pattern: 'Neighbouring tile shapes only fit together one way.',
+	propagation: 'Walls and connections of the neighbours leave only one orientation.',
+	loop: 'Any other orientation would close a loop.',
+	island: 'Any other orientation would leave an isolated island.',
+	trial: 'Any other orientation quickly leads to a contradiction.',
+	symmetric: 'This tile looks the same in any orientation.',
+	given: 'This tile is given by the puzzle.'
+};
+
+/**
+ * Deduction log entry, made when a tile is left with a single orientation
+ * @typedef {Object} Deduction
+ * @property {Number} index
+ * @property {Number} orientation
+ * @property {Reason|'guess'} reason - rule that fixed the tile, or guess if it was picked to try out
+ * @property {Number[]} neighbours - indices of neighbouring tiles the rule relied on
+ * @property {Number} depth - number of guesses the deduction depends on, 0 if it follows from the puzzle
+ */
+
+/**
+ * Difficulty band, from the difficulty score
+ * easy: under 0.05, rules about a tile and its neighbours solve almost everything
+ * medium: under 0.1, a fair share of tiles need avoiding loops or islands
+ * hard: 0.1 and up, some tiles need short trials or guessing
+ * @typedef {'easy'|'medium'|'hard'} DifficultyBand
+ */
+
+/** @type {DifficultyBand[]} - from easiest to hardest */
+export const difficultyBands = ['easy', 'medium', 'hard'];
+
+/**
+ * Difficulty of a puzzle measured by the solver's effort
+ * @typedef {Object} Difficulty
+ * @property {Number} local - tiles solved by rules about a tile and its neighbours
+ * @property {Number} loops - tiles solved by avoiding loops, which takes looking further than neighbours
+ * @property {Number} islands - tiles solved after ruling out isolated islands
+ * @property {Number} trials - tiles solved after short trials
+ * @property {Number} guessed - tiles left for guessing
+ * @property {Number} depth - maximum depth of guesses, 0 if none were needed
+ * @property {Number} score - effort per tile plus guess depth, 0 for the easiest puzzles
+ * @property {DifficultyBand} band
+ */
+
+/**
+ * Hint points to a tile that can be solved using what the player already knows
+ * @typedef {Object} Hint
+ * @property {Number} index
+ * @property {Number} orientation
+ * @property {Reason} reason
+ */
+
 /**
  * Solver progress tracks current counts of solved/guessed/ambiguous tiles
  * @typedef {Object} SolverProgress
@@ -197,11 +269,13 @@ const emptyCallback = (/**@type {SolverProgress} */ progress) => {};
  * @constructor
  * @param {Number[]} tiles - tile index in grid
  * @param {import('$lib/puzzle/grids/abstractgrid').AbstractGrid} grid
+ * @param {Number[]} givens - indices of tiles that are already in their solved orientation
  */
-export function Solver(tiles, grid) {
+export function Solver(tiles, grid, givens = []) {
 	let self = this;
 	self.tiles = tiles;
 	self.grid = grid;
+	self.givens = new Set(givens);
 	self.progress_callback = emptyCallback;
 
 	self.UNSOLVED = -1;
@@ -222,6 +296,18 @@ export function Solver(tiles, grid) {
 	/** @type {Set<Number>} */
 	self.dirty = new Set();
 
+	/** @type {Map<Number, Reason|'guess'>} - last rule that ruled out some orientations of a cell */
+	self.reasons = new Map([]);
+
+	/** @type {Deduction[]|null} - set to an empty array to log deductions in the order they are made */
+	self.log = null;
+
+	/** @type {Boolean} - set once the log leads to a solution, later deductions look for other ones */
+	self.logDone = false;
+
+	/** @type {Number} - number of guesses this solver's state depends on */
+	self.depth = 0;
+
 	// ruling out orientations connecting only deadends messes up
 	// solving very small instances
 	// so it's only enabled if there's enough tiles
@@ -288,6 +374,7 @@ export function Solver(tiles, grid) {
 			}
 			if (forbidden > 0) {
 				cell.mustHaveAllWalls(forbidden);
+				self.reasons.set(otherIndex, 'loop');
 				self.dirty.add(otherIndex);
 			}
 		}
@@ -308,6 +395,7 @@ export function Solver(tiles, grid) {
 			}
 			if (forbiddenCount > 1) {
 				if (cell.mustHaveSomeWalls(forbidden)) {
+					self.reasons.set(adjacentIndex, 'loop');
 					self.dirty.add(adjacentIndex);
 				}
 				// console.log({
@@ -326,8 +414,15 @@ export function Solver(tiles, grid) {
 	 * @param {Cell} cell - cell at index
 	 */
 	self.doLocalDeductions = function (index, cell) {
+		if (self.givens.has(index)) {
+			cell.possible = new Set([cell.initial]);
+			self.reasons.set(index, 'given');
+			self.dirty.add(index);
+			return;
+		}
 		if (cell.possible.size === 1) {
 			// either empty or fully connected, is solved right away
+			self.reasons.set(index, 'symmetric');
 			self.dirty.add(index);
 			return;
 		}
@@ -373,6 +468,9 @@ export function Solver(tiles, grid) {
 		if (invalidDirections > 0) {
 			cell.mustHaveAllWalls(invalidDirections);
 		}
+		if (cell.possible.size < possibleBefore) {
+			self.reasons.set(index, 'border');
+		}
 		// remove orientations that connect only deadends
 		// any grid
 		if (self.checkDeadendConnections) {
@@ -382,11 +480,14 @@ export function Solver(tiles, grid) {
 					deadendConnections += polygon.directions[i];
 				}
 			}
-			cell.mustHaveOtherConnections(deadendConnections);
+			if (cell.mustHaveOtherConnections(deadendConnections)) {
+				self.reasons.set(index, 'deadend');
+			}
 		}
 
 		// Hexagrid specific tricks
 		if (self.grid instanceof HexaGrid || self.grid instanceof OctaGrid) {
+			const possibleBeforeTricks = cell.possible.size;
 			// can't connect middle prongs to a sharp turns tile
 			if (tileType.hasThreeOrMoreAdjacentConnections) {
 				for (let [i, neighbourTile] of neighbourTiles.entries()) {
@@ -434,6 +535,9 @@ export function Solver(tiles, grid) {
 					}
 				}
 			}
+			if (cell.possible.size < possibleBeforeTricks) {
+				self.reasons.set(index, 'pattern');
+			}
 		}
 
 		if (cell.possible.size < possibleBefore) {
@@ -464,7 +568,12 @@ export function Solver(tiles, grid) {
 			// 	possible: [...cell.possible]
 			// });
 			// apply constraints to limit possible orientations
+			const possibleBefore = cell.possible.size;
+			const knownBefore = cell.walls + cell.connections;
 			const { addedWalls, addedConnections } = cell.applyConstraints();
+			if (cell.possible.size < possibleBefore) {
+				self.reasons.set(index, 'propagation');
+			}
 			// create a component for this tile if it got a connection
 			if (addedConnections > 0 && !self.components.has(index)) {
 				self.components.set(index, new Set([index]));
@@ -515,6 +624,9 @@ export function Solver(tiles, grid) {
 				self.solution[index] = orientation;
 				self.unsolved.delete(index);
 				self.components.delete(index);
+				if (self.log !== null && !self.grid.emptyCells.has(index)) {
+					self.logDeduction(index, orientation, knownBefore);
+				}
 			}
 			// console.log({ index, orientation, final, possible: [...cell.possible] });
 			yield { index, orientation, final };
@@ -526,6 +638,53 @@ export function Solver(tiles, grid) {
 		}
 	};
 
+	/**
+	 * Adds an entry about a tile that got solved to the log
+	 * @param {Number} index
+	 * @param {Number} orientation
+	 * @param {Number} known - walls and connections of the tile before it got solved
+	 */
+	self.logDeduction = function (index, orientation, known) {
+		if (self.log === null || self.logDone) {
+			return;
+		}
+		const reason = self.reasons.get(index) || 'propagation';
+		/** @type {Number[]} */
+		const neighbours = [];
+		if (reason !== 'symmetric' && reason !== 'given' && reason !== 'guess') {
+			// rules about neighbour tile shapes look at all of them,
+			// the rest rely on walls and connections that neighbours have set
+			const looksAtShapes = reason === 'border' || reason === 'deadend' || reason === 'pattern';
+			for (let direction of self.grid.polygon_at(index).directions) {
+				if (!looksAtShapes && (known & direction) === 0) {
+					continue;
+				}
+				const { neighbour, empty } = self.grid.find_neighbour(index, direction);
+				if (!empty && !neighbours.includes(neighbour)) {
+					neighbours.push(neighbour);
+				}
+			}
+		}
+		self.log.push({ index, orientation, reason, neighbours, depth: self.depth });
+	};
+
+	/**
+	 * Adds deductions of the guesses that led to a solution to the log.
+	 * Guesses that failed or led to other solutions are left out,
+	 * so every tile is logged with the orientation it has in this solution.
+	 * @param {{solver: Solver}[]} trials - guesses that led to the solution, this solver first
+	 */
+	self.keepLog = function (trials) {
+		if (self.log === null || self.logDone) {
+			return;
+		}
+		for (let { solver } of trials.slice(1)) {
+			self.log.push(...(solver.log || []));
+			solver.log = null;
+		}
+		self.logDone = true;
+	};
+
 	/**
 	 * Iterate over connected components and try to figure something out
 	 */
@@ -567,6 +726,7 @@ export function Solver(tiles, grid) {
 			if (forbidden > 0) {
 				if (cell.mustHaveSomeWalls(forbidden)) {
 					// console.log({ index, forbidden, possible: [...cell.possible] });
+					self.reasons.set(index, 'island');
 					self.dirty.add(index);
 				}
 			}
@@ -593,6 +753,7 @@ export function Solver(tiles, grid) {
 			if (forbiddenCount > 1) {
 				if (cell.mustHaveOtherConnections(forbidden)) {
 					// console.log({ index, forbidden, possible: [...cell.possible], type: 'adjacent' });
+					self.reasons.set(index, 'island');
 					self.dirty.add(index);
 				}
 			}
@@ -600,10 +761,13 @@ export function Solver(tiles, grid) {
 	};
 	/**
 	 * Makes a copy of the solver
+	 * @param {Boolean} branchLog - give the copy a log of its own, for guesses
 	 * @return {Solver}
 	 */
-	self.clone = function () {
+	self.clone = function (branchLog = false) {
 		const clone = new Solver([], self.grid);
+		clone.log = branchLog && self.log !== null && !self.logDone ? [] : null;
+		clone.depth = self.depth;
 		clone.unsolved = new Map([]);
 		self.unsolved.forEach((cell, index) => {
 			clone.unsolved.set(index, cell.clone());
@@ -646,6 +810,8 @@ export function Solver(tiles, grid) {
 		}
 		const orientation = cell.possible.keys().next().value;
 		cell.possible = new Set([orientation]);
+		self.reasons.set(guessIndex, 'guess');
+		self.depth += 1;
 		self.dirty.add(guessIndex);
 		return [guessIndex, orientation];
 	};
@@ -721,6 +887,7 @@ export function Solver(tiles, grid) {
 				// got a solution
 				self.solution = solver.solution;
 				self.solutions.push([...solver.solution]);
+				self.keepLog(trials);
 				if (!allSolutions) {
 					break;
 				}
@@ -736,7 +903,7 @@ export function Solver(tiles, grid) {
 				}
 			} else {
 				// we have to make a guess
-				const clone = solver.clone();
+				const clone = solver.clone(true);
 				const [index, orientation] = clone.makeAGuess();
 				trials.push({
 					index,
@@ -778,6 +945,7 @@ export function Solver(tiles, grid) {
 					}
 				} catch (e) {
 					cell.possible.delete(orientation);
+					self.reasons.set(index, 'trial');
 					self.dirty.add(index);
 					self.shortTrialsIndex = index;
 					return true;
@@ -787,6 +955,153 @@ export function Solver(tiles, grid) {
 		return false;
 	};
 
+	/**
+	 * Initializes every cell, empty cells first so that they get processed first
+	 * Otherwise they add walls to tiles that are already solved, and those get initialized again.
+	 */
+	self.initAllCells = function () {
+		for (let index of self.grid.emptyCells) {
+			self.getCell(index);
+		}
+		for (let index = 0; index < self.grid.total; index++) {
+			self.getCell(index);
+		}
+	};
+
+	/**
+	 * Find a tile that can be solved using what the player already knows
+	 * Returns null if nothing can be deduced without guessing
+	 * @param {Map<Number, Number>} known - tile index => orientation of tiles the player is sure about
+	 * @param {{index: Number, direction: Number, mark: 'wall'|'conn'}[]} marks - player's edge marks
+	 * @throws if the player's tiles and marks contradict each other
+	 * @returns {Hint|null}
+	 */
+	self.findHint = function (known, marks) {
+		self.initAllCells();
+		for (let [index, orientation] of known.entries()) {
+			const cell = self.getCell(index);
+			cell.possible = new Set(cell.possible.has(orientation) ? [orientation] : []);
+			self.dirty.add(index);
+		}
+		for (let { index, direction, mark } of marks) {
+			const { neighbour, empty } = self.grid.find_neighbour(index, direction);
+			if (empty) {
+				continue;
+			}
+			const opposite = self.grid.OPPOSITE.get(direction) || 0;
+			if (mark === 'wall') {
+				self.getCell(index).mustHaveAllWalls(direction);
+				self.getCell(neighbour).mustHaveAllWalls(opposite);
+			} else {
+				self.getCell(index).mustHaveAllConnections(direction);
+				self.getCell(neighbour).mustHaveAllConnections(opposite);
+			}
+			self.dirty.add(index);
+			self.dirty.add(neighbour);
+		}
+		// tiles that look the same in any orientation only make boring hints
+		/** @type {Hint|null} */
+		let symmetricHint = null;
+		while (true) {
+			for (let step of self.processDirtyCells()) {
+				if (
+					!step.final ||
+					known.has(step.index) ||
+					self.givens.has(step.index) ||
+					self.grid.emptyCells.has(step.index)
+				) {
+					continue;
+				}
+				// no guesses are made while looking for a hint
+				const reason = /** @type {Reason} */ (self.reasons.get(step.index) || 'propagation');
+				const hint = { index: step.index, orientation: step.orientation, reason };
+				if (reason !== 'symmetric') {
+					return hint;
+				}
+				if (symmetricHint === null) {
+					symmetricHint = hint;
+				}
+			}
+			self.avoidIslands();
+			if (self.dirty.size > 0) {
+				continue;
+			}
+			if (!self.doShortTrials()) {
+				break;
+			}
+		}
+		return symmetricHint;
+	};
+
+	/**
+	 * Rate how hard the puzzle is
+	 * Every tile is credited to the technique that got the solver going again before it was solved.
+	 * Given tiles take no effort and are left out.
+	 * Guess depth comes from a separate search, only if the techniques fall short.
+	 * @throws if the puzzle has no solution
+	 * @returns {Difficulty}
+	 */
+	self.rateDifficulty = function () {
+		self.initAllCells();
+		/** @type {Map<Number, 'local'|'loops'|'islands'|'trials'>} */
+		const techniques = new Map();
+		/** @type {'local'|'islands'|'trials'} */
+		let technique = 'local';
+		while (true) {
+			for (let step of self.processDirtyCells()) {
+				if (
+					step.final &&
+					!self.grid.emptyCells.has(step.index) &&
+					!self.givens.has(step.index) &&
+					!techniques.has(step.index)
+				) {
+					const isLoop = technique === 'local' && self.reasons.get(step.index) === 'loop';
+					techniques.set(step.index, isLoop ? 'loops' : technique);
+				}
+			}
+			if (self.unsolved.size === 0) {
+				break;
+			}
+			self.avoidIslands();
+			if (self.dirty.size > 0) {
+				technique = 'islands';
+				continue;
+			}
+			if (self.doShortTrials()) {
+				technique = 'trials';
+				continue;
+			}
+			break;
+		}
+		const counts = { local: 0, loops: 0, islands: 0, trials: 0 };
+		techniques.forEach((technique) => (counts[technique] += 1));
+		const guessed = self.unsolved.size;
+		let depth = 0;
+		if (guessed > 0) {
+			const search = new Solver(self.tiles, self.grid, [...self.givens]);
+			search.log = [];
+			search.markAmbiguousTiles();
+			depth = Math.max(0, ...search.log.map((deduction) => deduction.depth));
+		}
+		const tiles = Math.max(1, self.grid.total - self.grid.emptyCells.size - self.givens.size);
+		const effort = (counts.loops / 2 + counts.islands + 2 * counts.trials + 4 * guessed) / tiles;
+		const score = Math.round(100 * (effort + depth)) / 100;
+		/** @type {DifficultyBand} */
+		let band = 'easy';
+		if (score >= 0.1) {
+			band = 'hard';
+		} else if (score >= 0.05) {
+			band = 'medium';
+		}
+		return {
+			...counts,
+			guessed,
+			depth,
+			score,
+			band
+		};
+	};
+
 	/**
 	 * Solve the puzzle but mark ambiguous areas with a special value
 	 * Does not yield steps
@@ -883,6 +1198,7 @@ export function Solver(tiles, grid) {
 			if (solver.unsolved.size == 0) {
 				// got a solution
 				// console.log('got a solution');
+				self.keepLog(trials);
 				numAmbiguous = 0;
 				for (let i = 0; i < marked.length; i++) {
 					if (marked[i] === self.UNSOLVED) {
@@ -920,7 +1236,7 @@ export function Solver(tiles, grid) {
 				}
 			} else {
 				// we have to make a guess
-				const clone = solver.clone();
+				const clone = solver.clone(true);
 
 				// copypasta of makeAGuess function
 				// because I want to ignore ambiguous tiles as guess candidates
@@ -946,6 +1262,8 @@ export function Solver(tiles, grid) {
 				}
 				const orientation = cell.possible.keys().next().value;
 				cell.possible = new Set([orientation]);
+				clone.reasons.set(guessIndex, 'guess');
+				clone.depth += 1;
 				clone.dirty.add(guessIndex);
 
 				// console.log('making a guess', guessIndex, orientation);
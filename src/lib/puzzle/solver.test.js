@@ -1,5 +1,6 @@
 import { describe, expect, it } from 'vitest';
 import { HexaGrid } from './grids/hexagrid';
+import { OctaGrid } from './grids/octagrid';
 import { Cell, Solver } from './solver';
 
 describe('Test hexagrid cell constraints', () => {
@@ -303,3 +304,196 @@ describe('Test solutions check and marking ambiguous tiles', () => {
 		expect(unique).toBe(true);
 	});
 });
+
+describe('Test deduction log', () => {
+	it('Logs every tile of a puzzle solved without guessing', () => {
+		const grid = new HexaGrid(2, 3, false);
+		const solver = new Solver([1, 1, 15, 1, 1, 3], grid);
+		solver.log = [];
+		solver.markAmbiguousTiles();
+		const solution = [32, 16, 39, 8, 1, 12];
+		expect(solver.log.map((entry) => entry.index).sort()).toEqual([0, 1, 2, 3, 4, 5]);
+		for (let { index, orientation, neighbours, depth } of solver.log) {
+			expect(orientation).toBe(solution[index]);
+			expect(depth).toBe(0);
+			for (let neighbour of neighbours) {
+				const adjacent = grid.DIRECTIONS.map((d) => grid.find_neighbour(index, d).neighbour);
+				expect(adjacent).toContain(neighbour);
+			}
+		}
+	});
+
+	it('Logs guesses and how deep the deductions after them are', () => {
+		const grid = new HexaGrid(3, 3, false);
+		const solver = new Solver([1, 5, 1, 1, 62, 3, 1, 5, 1], grid);
+		solver.log = [];
+		solver.markAmbiguousTiles();
+		const guesses = solver.log.filter((entry) => entry.reason === 'guess');
+		expect(guesses.length).toBeGreaterThan(0);
+		let depth = 0;
+		for (let entry of solver.log) {
+			if (entry.reason === 'guess') {
+				expect(entry.depth).toBeGreaterThan(0);
+				expect(entry.neighbours).toEqual([]);
+				depth = entry.depth;
+			} else {
+				// deductions never go deeper than the last guess
+				expect(entry.depth).toBeLessThanOrEqual(depth);
+			}
+		}
+	});
+
+	it('Leaves guesses that were dropped out of the log', () => {
+		const grid = new HexaGrid(3, 3, false);
+		const solver = new Solver([1, 5, 1, 1, 62, 3, 1, 5, 1], grid);
+		solver.log = [];
+		const { marked } = solver.markAmbiguousTiles();
+		/** @type {Map<Number, Number>} */
+		const orientations = new Map();
+		for (let { index, orientation } of solver.log) {
+			expect(orientations.get(index) ?? orientation).toBe(orientation);
+			orientations.set(index, orientation);
+		}
+		// every tile is logged, ambiguous ones as they are in one of the solutions
+		expect([...orientations.keys()].sort()).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+		marked.forEach((orientation, index) => {
+			if (orientation !== solver.AMBIGUOUS) {
+				expect(orientations.get(index)).toBe(orientation);
+			}
+		});
+	});
+
+	it('Logs the guesses that led to the solution when solving', () => {
+		const grid = new HexaGrid(3, 3, false);
+		const solver = new Solver([1, 5, 1, 1, 62, 3, 1, 5, 1], grid);
+		solver.log = [];
+		for (let _ of solver.solve()) {
+		}
+		for (let { index, orientation } of solver.log) {
+			expect(orientation).toBe(solver.solution[index]);
+		}
+	});
+
+	it('Does not log by default', () => {
+		const solver = new Solver([1, 1, 15, 1, 1, 3], new HexaGrid(2, 3, false));
+		solver.markAmbiguousTiles();
+		expect(solver.log).toBe(null);
+	});
+});
+
+describe('Test difficulty rating', () => {
+	it('Rates a puzzle solved by local rules by its loops', () => {
+		const solver = new Solver([1, 1, 15, 1, 1, 3], new HexaGrid(2, 3, false));
+		const difficulty = solver.rateDifficulty();
+		expect(difficulty.local + difficulty.loops).toBe(6);
+		expect(difficulty.score).toBeCloseTo(difficulty.loops / 12, 2);
+		expect(difficulty.depth).toBe(0);
+	});
+
+	it('Counts tiles left for guessing and the guess depth', () => {
+		const solver = new Solver([1, 5, 1, 1, 62, 3, 1, 5, 1], new HexaGrid(3, 3, false));
+		const difficulty = solver.rateDifficulty();
+		expect(difficulty.band).toBe('hard');
+		expect(difficulty.guessed).toBeGreaterThan(0);
+		expect(difficulty.depth).toBeGreaterThan(0);
+		const { local, loops, islands, trials, guessed } = difficulty;
+		expect(local + loops + islands + trials + guessed).toBe(9);
+	});
+
+	it('Rates puzzles on boards with empty cells', () => {
+		// the last column of squares of an octagonal grid is empty
+		const grid = new OctaGrid(3, 3, false);
+		const tiles = [8, 2, 96, 193, 200, 136, 1, 16, 14, 34, 34, 0, 136, 8, 0, 0, 0, 0];
+		const difficulty = new Solver(tiles, grid).rateDifficulty();
+		const { local, loops, islands, trials, guessed } = difficulty;
+		expect(local + loops + islands + trials + guessed).toBe(grid.total - grid.emptyCells.size);
+		expect(new Solver(tiles, grid).findHint(new Map(), [])).not.toBe(null);
+	});
+});
+
+describe('Test given tiles', () => {
+	const grid = new HexaGrid(3, 3, false);
+	const tiles = [1, 5, 1, 1, 62, 3, 1, 5, 1];
+
+	it('Fixes ambiguous tiles in their given orientation', () => {
+		const solver = new Solver(tiles, grid);
+		solver.markAmbiguousTiles();
+		const solution = [...solver.solution];
+		const givens = [2, 4, 5, 8];
+		const { marked, unique } = new Solver(solution, grid, givens).markAmbiguousTiles();
+		expect(unique).toBe(true);
+		expect(marked).toEqual(solution);
+	});
+
+	it('Leaves given tiles out of difficulty and hints', () => {
+		const solver = new Solver(tiles, grid);
+		solver.markAmbiguousTiles();
+		const solution = [...solver.solution];
+		const givens = [2, 4, 5, 8];
+		const difficulty = new Solver(solution, grid, givens).rateDifficulty();
+		const { local, loops, islands, trials, guessed } = difficulty;
+		expect(local + loops + islands + trials + guessed).toBe(9 - givens.length);
+		const hint = new Solver(solution, grid, givens).findHint(new Map(), []);
+		expect(givens).not.toContain(hint?.index);
+	});
+});
+
+describe('Test hints', () => {
+	const grid = new HexaGrid(2, 3, false);
+	const tiles = [1, 1, 15, 1, 1, 3];
+	const solution = [32, 16, 39, 8, 1, 12];
+
+	it('Gives a hint that matches the solution', () => {
+		const solver = new Solver(tiles, grid);
+		const hint = solver.findHint(new Map(), []);
+		expect(hint).not.toBe(null);
+		expect(hint?.orientation).toBe(solution[hint?.index || 0]);
+	});
+
+	it('Leads to the solution hint by hint', () => {
+		const known = new Map();
+		for (let i = 0; i < tiles.length; i++) {
+			const hint = new Solver(tiles, grid).findHint(known, []);
+			if (hint === null) {
+				throw 'No hint found';
+			}
+			expect(known.has(hint.index)).toBe(false);
+			expect(hint.orientation).toBe(solution[hint.index]);
+			known.set(hint.index, hint.orientation);
+		}
+		expect(new Solver(tiles, grid).findHint(known, [])).toBe(null);
+	});
+
+	it('Points to the last unknown tile', () => {
+		const known = new Map(solution.map((orientation, index) => [index, orientation]));
+		known.delete(2);
+		const hint = new Solver(tiles, grid).findHint(known, []);
+		expect(hint).toEqual({ index: 2, orientation: 39, reason: 'propagation' });
+	});
+
+	it('Throws if known tiles contradict each other', () => {
+		const known = new Map([
+			[0, 32],
+			[1, 32]
+		]);
+		expect(() => new Solver(tiles, grid).findHint(known, [])).toThrow();
+	});
+
+	it('Uses edge marks to resolve ambiguous tiles', () => {
+		const grid = new HexaGrid(3, 3, false);
+		const tiles = [1, 5, 1, 1, 62, 3, 1, 5, 1];
+		const known = new Map([
+			[0, 1],
+			[1, 40],
+			[3, 1],
+			[6, 1],
+			[7, 10]
+		]);
+		expect(new Solver(tiles, grid).findHint(known, [])).toBe(null);
+		/** @type {{index: Number, direction: Number, mark: 'wall'|'conn'}[]} */
+		const marks = [{ index: 2, direction: 16, mark: 'wall' }];
+		const hint = new Solver(tiles, grid).findHint(known, marks);
+		expect(hint).not.toBe(null);
+		expect(hint?.orientation).toBe([1, 40, 32, 1, 61, 12, 1, 10, 4][hint?.index || 0]);
+	});
+});
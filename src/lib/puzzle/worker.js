@@ -8,8 +8,8 @@ import { createGrid } from '$lib/puzzle/grids/grids';
  * @param {import('$lib/puzzle/generator').GeneratorOptions} options
  */
 function generate(grid, options) {
-	const { kind, width, height, wrap, tiles } = grid;
-	const grid_ = createGrid(kind, width, height, wrap, tiles);
+	const { kind, width, height, wrap, tiles, seed, graph } = grid;
+	const grid_ = createGrid(kind, width, height, wrap, tiles, seed, graph);
 	const gen = new Generator(grid_);
 	/** @param {import('$lib/puzzle/generator').GeneratorProgress} gen_progress */
 	gen.generator_progress_callback = function (gen_progress) {
@@ -19,10 +19,30 @@ function generate(grid, options) {
 	gen.solver_progress_callback = function (progress) {
 		postMessage({ msg: 'solver_progress', progress: progress });
 	};
-	const { branchingAmount, avoidObvious, avoidStraights, solutionsNumber } = options;
+	const {
+		branchingAmount,
+		avoidObvious,
+		avoidStraights,
+		solutionsNumber,
+		difficulty,
+		tileDistribution,
+		symmetry,
+		fixAmbiguity,
+		extraGivens
+	} = options;
 	try {
-		const tiles = gen.generate(branchingAmount, avoidObvious, avoidStraights, solutionsNumber);
-		postMessage({ msg: 'generated', tiles });
+		const tiles = gen.generate(
+			branchingAmount,
+			avoidObvious,
+			avoidStraights,
+			solutionsNumber,
+			difficulty,
+			tileDistribution,
+			symmetry,
+			fixAmbiguity,
+			extraGivens
+		);
+		postMessage({ msg: 'generated', tiles, givens: gen.givens });
 	} catch (error) {
 		postMessage({ msg: 'error', error });
 	}
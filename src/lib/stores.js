@@ -1,26 +1,5 @@
 import { writable } from 'svelte/store';
 
-export const puzzleCounts = writable({
-	hexagonal: {
-		'5x5': 1000,
-		'7x7': 1000,
-		'10x10': 1000,
-		'15x15': 1000,
-		'20x20': 1000,
-		'30x30': 1000,
-		'40x40': 1000
-	},
-	hexagonalWrap: {
-		'5x5': 1000,
-		'7x7': 1000,
-		'10x10': 1000,
-		'15x15': 1000,
-		'20x20': 1000,
-		'30x30': 1000,
-		'40x40': 1000
-	}
-});
-
 /**
  * @typedef {'rotate_lock'|'rotate_rotate'|'orient_lock'} ControlMode
  */
@@ -36,6 +15,7 @@ export const puzzleCounts = writable({
  * @property {Boolean} showTimer
  * @property {Boolean} disableZoomPan
  * @property {Boolean} assistant
+ * @property {Boolean} showWrapSeams
  */
 
 function createSettings() {
@@ -54,7 +34,8 @@ function createSettings() {
 		requireLocked: false,
 		removeEdgeMarksOnLock: false,
 		edgeMarkMouseTime: 300,
-		disconnectHighlighting: true
+		disconnectHighlighting: true,
+		showWrapSeams: false
 	};
 
 	const { subscribe, set, update } = writable(defaultSettings);
@@ -122,9 +103,40 @@ export const settings = createSettings();
  * @property {Number} startedAt
  * @property {Number} elapsedTime
  * @property {Number} pausedAt
+ * @property {Number} [penalty] - time in ms added to the solve for checking mistakes
  * @property {String|undefined} error
  */
 
+// time penalty for checking the puzzle for mistakes
+export const mistakeCheckPenalty = 30 * 1000;
+
+/**
+ * Ask the player if checking for mistakes is worth the time penalty
+ * @returns {Boolean}
+ */
+export function confirmMistakeCheck() {
+	const seconds = mistakeCheckPenalty / 1000;
+	return window.confirm(`Checking for mistakes adds ${seconds} seconds to your time. Continue?`);
+}
+
+/**
+ * Add a time penalty to a solve in progress
+ * Moves startedAt back so that the elapsed time includes the penalty
+ * @param {Solve} solve
+ * @param {Number} penalty - in ms
+ * @returns {Solve} a penalized copy, or the same solve if it is not in progress
+ */
+export function withPenalty(solve, penalty) {
+	if (solve.startedAt === -1 || solve.elapsedTime !== -1) {
+		return solve;
+	}
+	return {
+		...solve,
+		startedAt: solve.startedAt - penalty,
+		penalty: (solve.penalty || 0) + penalty
+	};
+}
+
 /**
  * @param {String} path
  */
@@ -198,7 +210,8 @@ function createSolvesStore(path) {
 					puzzleId,
 					startedAt: solve.startedAt,
 					pausedAt: solve.pausedAt,
-					elapsedTime: -1
+					elapsedTime: -1,
+					penalty: solve.penalty
 				};
 				solves.unshift(solve);
 				return solves;
@@ -332,6 +345,25 @@ function createSolvesStore(path) {
 		return solve;
 	}
 
+	/**
+	 * Add a time penalty to a puzzle in progress
+	 * @param {Number} puzzleId
+	 * @param {Number} penalty - in ms
+	 * @returns {Solve|undefined}
+	 */
+	function addPenalty(puzzleId, penalty) {
+		let solve;
+		update((solves) => {
+			const index = solves.findIndex((/** @type {Solve} */ solve) => solve.puzzleId === puzzleId);
+			if (index !== -1) {
+				solves[index] = withPenalty(solves[index], penalty);
+				solve = solves[index];
+			}
+			return solves;
+		});
+		return solve;
+	}
+
 	/**
 	 * Indicate that we want to drop a previous random puzzle and start a new one
 	 * No puzzleId parameter because it's only needed for random puzzles
@@ -356,6 +388,7 @@ function createSolvesStore(path) {
 		reportFinish,
 		pause,
 		unpause,
+		addPenalty,
 		skip
 	};
 }
@@ -367,7 +400,9 @@ function createSolvesStore(path) {
 const solvesStores = new Map();
 
 /**
- *
+ * Solves are stored separately for every grid category and size,
+ * so each grid kind, wrap or not, has its own history.
+ * Random and numbered puzzles of the same category and size share the store.
  * @param {String} path
  * @returns {ReturnType<createSolvesStore>}
  */
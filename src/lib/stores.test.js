@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { getSolves, withPenalty } from './stores';
+
+describe('Test mistake check penalty', () => {
+	it('Moves the start of a solve in progress back by the penalty', () => {
+		const solve = {
+			puzzleId: 1,
+			startedAt: 100000,
+			pausedAt: -1,
+			elapsedTime: -1,
+			error: undefined
+		};
+		const penalized = withPenalty(withPenalty(solve, 30000), 30000);
+		expect(penalized.startedAt).toBe(40000);
+		expect(penalized.penalty).toBe(60000);
+		expect(solve.startedAt).toBe(100000);
+	});
+
+	it('Leaves finished solves alone', () => {
+		const solve = {
+			puzzleId: 1,
+			startedAt: 100000,
+			pausedAt: -1,
+			elapsedTime: 5000,
+			error: undefined
+		};
+		expect(withPenalty(solve, 30000)).toBe(solve);
+	});
+
+	it('Keeps the penalty when a solve is resumed', () => {
+		const solves = getSolves('/hexagonal/5/1');
+		solves.reportStart(1);
+		solves.addPenalty(1, 30000);
+		solves.reportStart(2);
+		const solve = solves.reportStart(1);
+		expect(solve.penalty).toBe(30000);
+	});
+});
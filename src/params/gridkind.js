@@ -1,6 +1,6 @@
 /** @type {import('@sveltejs/kit').ParamMatcher} */
 export function match(param) {
-	return /hexagonal|hexagonal-wrap|square|square-wrap|octagonal|octagonal-wrap|etrat|etrat-wrap|cube|cube-wrap/.test(
+	return /^(hexagonal|hexagonal-wrap|square|square-wrap|octagonal|octagonal-wrap|etrat|etrat-wrap|cube|cube-wrap|triangular|triangular-wrap|rhombitrihex|rhombitrihex-wrap|penrose|voronoi)$/.test(
 		param
 	);
 }
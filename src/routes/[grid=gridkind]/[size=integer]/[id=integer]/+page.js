@@ -1,19 +1,34 @@
 import { error } from '@sveltejs/kit';
+import { instanceUrl, loadIndex } from '$lib/puzzle/instances';
 
 /** @type {import('./$types').PageLoad} */
 export async function load({ params, fetch }) {
+	const category = /** @type {import('$lib/puzzle/grids/grids').GridCategory} */ (params.grid);
 	const size = `${params.size}x${params.size}`;
 	const id = Number(params.id);
-	const folderNum = Math.floor((id - 1) / 100);
-	const url = `/_instances/hexagonal/${size}/${folderNum}/${id}.json`;
-	const response = await fetch(url);
+	const index = await loadIndex(fetch, category);
+	const count = index.sizes[size] || 0;
+	if (id < 1 || id > count) {
+		throw error(404, `There is no puzzle #${id} of size ${size} for this grid`);
+	}
+	const response = await fetch(instanceUrl(category, size, id));
 
 	if (response.ok) {
 		const data = await response.json();
+		// puzzles made unique by regrowing ambiguous areas have no givens
+		const givens = data.givens || [];
 		return {
 			width: data.width,
 			height: data.height,
-			tiles: data.tiles
+			tiles: data.tiles,
+			givens,
+			// only grids of random cells have a seed
+			seed: data.seed,
+			// puzzles generated before difficulty ratings have none, the page rates them
+			difficulty: /** @type {import('$lib/puzzle/solver').Difficulty|undefined} */ (
+				data.difficulty
+			),
+			count
 		};
 	} else {
 		throw error(response.status, '');
@@ -1,23 +1,21 @@
 import { error } from '@sveltejs/kit';
+import { dailyUrl, formatDate } from '$lib/puzzle/dailies';
 
 /** @type {import('./$types').PageLoad} */
 export async function load({ fetch }) {
-	const today = new Date();
-	const year = today.getFullYear().toString().padStart(4, '0');
-	const month = (today.getMonth() + 1).toString().padStart(2, '0');
-	const day = today.getDate().toString().padStart(2, '0');
-	const url = `/_instances/daily/${year}/${month}/${day}.json`;
-	const response = await fetch(url);
+	const date = formatDate(new Date());
+	const response = await fetch(dailyUrl(date));
 
 	if (response.ok) {
 		const data = await response.json();
 		return {
-			date: `${year}-${month}-${day}`,
+			date,
 			grid: data.grid,
 			wrap: data.wrap,
 			width: data.width,
 			height: data.height,
 			tiles: data.tiles,
+			givens: data.givens || [],
 			comment: data.comment
 		};
 	} else {
@@ -0,0 +1,30 @@
+import { error, redirect } from '@sveltejs/kit';
+import { dailyUrl, formatDate } from '$lib/puzzle/dailies';
+
+/** @type {import('./$types').PageLoad} */
+export async function load({ params, fetch }) {
+	const today = formatDate(new Date());
+	if (params.date === today) {
+		throw redirect(307, '/daily');
+	}
+	if (params.date > today) {
+		throw error(404, 'This daily puzzle is not out yet');
+	}
+	const response = await fetch(dailyUrl(params.date));
+
+	if (response.ok) {
+		const data = await response.json();
+		return {
+			date: params.date,
+			grid: data.grid,
+			wrap: data.wrap,
+			width: data.width,
+			height: data.height,
+			tiles: data.tiles,
+			givens: data.givens || [],
+			comment: data.comment
+		};
+	} else {
+		throw error(response.status, '');
+	}
+}
@@ -0,0 +1,15 @@
+import { formatDate, loadDailyIndex } from '$lib/puzzle/dailies';
+
+/** @type {import('./$types').PageLoad} */
+export async function load({ fetch }) {
+	const today = formatDate(new Date());
+	const index = await loadDailyIndex(fetch);
+	// hide dailies that are not out yet
+	const dailies = Object.entries(index)
+		.filter(([date]) => date <= today)
+		.map(([date, info]) => ({ date, ...info }));
+	return {
+		today,
+		dailies
+	};
+}